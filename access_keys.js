@@ -0,0 +1,132 @@
+'use strict'; /*jslint node:true es9:true*/
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+
+export const ACCESS_KEY_PREFIX = 'bdmcp_';
+
+const hash_key = key=>crypto.createHash('sha256').update(key).digest('hex');
+
+const derive = (secret, salt)=>crypto.scryptSync(secret, salt, 32);
+
+function encrypt(secret, data){
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', derive(secret, salt),
+        iv);
+    const body = Buffer.concat([cipher.update(JSON.stringify(data)),
+        cipher.final()]);
+    return {
+        version: 1,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: body.toString('base64'),
+    };
+}
+
+function decrypt(secret, file){
+    const decipher = crypto.createDecipheriv('aes-256-gcm',
+        derive(secret, Buffer.from(file.salt, 'base64')),
+        Buffer.from(file.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    try {
+        return JSON.parse(Buffer.concat([
+            decipher.update(Buffer.from(file.data, 'base64')),
+            decipher.final(),
+        ]).toString('utf8'));
+    } catch(e){
+        throw new Error('Cannot decrypt access key store, check '
+            +'ACCESS_KEY_SECRET');
+    }
+}
+
+// Server-issued access keys, each mapped to an upstream Bright Data API
+// token plus the zones and tools it may use. The store is an AES-256-GCM
+// encrypted JSON file; only hashes of the issued keys are kept in it.
+export class Access_key_store {
+    constructor({file, secret}){
+        if (!secret)
+            throw new Error('ACCESS_KEY_SECRET is required for access keys');
+        this.file = file;
+        this.secret = secret;
+        this._keys = {};
+        this._mtime = null;
+    }
+
+    _load(){
+        let stat;
+        try { stat = fs.statSync(this.file); }
+        catch(e){
+            this._keys = {};
+            this._mtime = null;
+            return;
+        }
+        if (this._mtime===stat.mtimeMs)
+            return;
+        this._keys = decrypt(this.secret,
+            JSON.parse(fs.readFileSync(this.file, 'utf8'))).keys || {};
+        this._mtime = stat.mtimeMs;
+    }
+
+    _save(){
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(encrypt(this.secret,
+            {keys: this._keys})), {mode: 0o600});
+        fs.renameSync(tmp, this.file);
+        this._mtime = fs.statSync(this.file).mtimeMs;
+    }
+
+    // Returns the record for a presented key, or null when it is unknown,
+    // revoked or expired. The store file is re-read when it changes.
+    lookup(key){
+        this._load();
+        const record = this._keys[hash_key(key)];
+        if (!record)
+            return null;
+        if (record.expires_at && Date.parse(record.expires_at)<=Date.now())
+            return null;
+        return record;
+    }
+
+    create({api_token, label, zones=[], unlocker_zone, browser_zone,
+        tools={}, expires_at})
+    {
+        if (!api_token)
+            throw new Error('An upstream API token is required');
+        this._load();
+        const id = crypto.randomBytes(4).toString('hex');
+        const key = `${ACCESS_KEY_PREFIX}${id}_`
+            +crypto.randomBytes(32).toString('base64url');
+        this._keys[hash_key(key)] = {
+            id,
+            label: label||null,
+            api_token,
+            zones,
+            unlocker_zone: unlocker_zone||null,
+            browser_zone: browser_zone||null,
+            tools,
+            created_at: new Date().toISOString(),
+            expires_at: expires_at||null,
+        };
+        this._save();
+        return {id, key};
+    }
+
+    list(){
+        this._load();
+        return Object.values(this._keys)
+            .map(({api_token, ...record})=>({...record,
+                api_token: `${api_token.slice(0, 4)}…`}));
+    }
+
+    revoke(id){
+        this._load();
+        const hash = Object.keys(this._keys)
+            .find(h=>this._keys[h].id==id);
+        if (!hash)
+            return false;
+        delete this._keys[hash];
+        this._save();
+        return true;
+    }
+}
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+'use strict'; /*jslint node:true es9:true*/
+import {parseArgs} from 'node:util';
+import {Access_key_store} from './access_keys.js';
+import {parse_tool_list} from './tool_filter.js';
+
+const usage = `Usage:
+  brightdata-mcp-keys create [--label NAME] [--zones a,b] [--unlocker ZONE]
+      [--browser ZONE] [--tools search,scrape] [--deny-tools LIST]
+      [--expires DAYS]
+  brightdata-mcp-keys list
+  brightdata-mcp-keys revoke ID
+
+The upstream Bright Data token is read from API_TOKEN, the store from
+ACCESS_KEY_STORE (default: access_keys.enc) and its secret from
+ACCESS_KEY_SECRET.`;
+
+const {values, positionals} = parseArgs({
+    allowPositionals: true,
+    options: {
+        label: {type: 'string'},
+        zones: {type: 'string'},
+        unlocker: {type: 'string'},
+        browser: {type: 'string'},
+        tools: {type: 'string'},
+        'deny-tools': {type: 'string'},
+        expires: {type: 'string'},
+        help: {type: 'boolean', short: 'h'},
+    },
+});
+
+const [command, id] = positionals;
+if (values.help || !['create', 'list', 'revoke'].includes(command))
+{
+    console.error(usage);
+    process.exit(values.help ? 0 : 1);
+}
+if (command=='create' && !process.env.API_TOKEN)
+{
+    console.error(`API_TOKEN is required to create an access key.\n\n${usage}`);
+    process.exit(1);
+}
+
+const store = new Access_key_store({
+    file: process.env.ACCESS_KEY_STORE || 'access_keys.enc',
+    secret: process.env.ACCESS_KEY_SECRET,
+});
+
+if (command=='create')
+{
+    const days = values.expires ? parseFloat(values.expires) : null;
+    const {id: key_id, key} = store.create({
+        api_token: process.env.API_TOKEN,
+        label: values.label,
+        zones: parse_tool_list(values.zones),
+        unlocker_zone: values.unlocker,
+        browser_zone: values.browser,
+        tools: {allow: parse_tool_list(values.tools),
+            deny: parse_tool_list(values['deny-tools'])},
+        expires_at: days ? new Date(Date.now()+days*24*3600*1000)
+            .toISOString() : null,
+    });
+    console.error(`Created access key ${key_id}. It is shown only once:`);
+    console.log(key);
+}
+else if (command=='list')
+    console.log(JSON.stringify(store.list(), null, 2));
+else
+{
+    if (!store.revoke(id))
+    {
+        console.error(`No access key with id ${id}`);
+        process.exit(1);
+    }
+    console.error(`Revoked access key ${id}`);
+}
@@ -1,11 +1,40 @@
 'use strict'; /*jslint node:true es9:true*/
 import * as playwright from 'playwright';
+import {UserError} from 'fastmcp';
+import {logger} from './logger.js';
 
+// One browser, or with domain_routing one browser per domain navigated to.
+// The pages of a browser context are tracked as tabs with ids (t1, t2, ...)
+// unique within the session, including pages opened by the site itself
+// (target=_blank links, popups).
 export class Browser_session {
-    constructor({cdp_endpoint}){
+    // cdp_endpoint is a URL or an async function returning one;
+    // on_browser_time(ms) is called with the connected time of each browser
+    // once it disconnects; before_connect(domain) is awaited before each new
+    // browser connection and may throw to refuse it, or return a function
+    // called once the connection attempt is over
+    constructor({cdp_endpoint, domain_routing=false, on_browser_time,
+        before_connect})
+    {
         this.cdp_endpoint = cdp_endpoint;
+        this.domain_routing = domain_routing;
+        this.on_browser_time = on_browser_time;
+        this.before_connect = before_connect;
         this._domainSessions = new Map();
         this._currentDomain = 'default';
+        this._tabSeq = 0;
+        this._newTabs = [];
+    }
+
+    get connected_browsers(){
+        return [...this._domainSessions.values()]
+            .filter(session=>session.browser).length;
+    }
+
+    // Connected browsers with the time they were last used, for eviction
+    browsers(){
+        return [...this._domainSessions].filter(([, session])=>session.browser)
+            .map(([domain, session])=>({domain, last_used: session.last_used}));
     }
 
     _getDomain(url) {
@@ -13,23 +42,81 @@ export class Browser_session {
             const urlObj = new URL(url);
             return urlObj.hostname;
         } catch(e) {
-            console.error(`Error extracting domain from ${url}:`, e);
+            logger.warn('Error extracting domain', {url, err: e});
             return 'default';
         }
     }
 
     async _getDomainSession(domain, {log}={}) {
-        if (!this._domainSessions.has(domain)) 
+        if (!this._domainSessions.has(domain))
         {
             this._domainSessions.set(domain, {
                 browser: null,
-                page: null,
-                browserClosed: true
+                context: null,
+                tabs: new Map(),
+                current: null,
+                browserClosed: true,
+                connecting: null,
+                last_used: Date.now(),
             });
         }
         return this._domainSessions.get(domain);
     }
 
+    _reset(session){
+        session.browser = null;
+        session.context = null;
+        session.tabs.clear();
+        session.current = null;
+        session.browserClosed = true;
+    }
+
+    // Resets session after an error, closing its browser in case it is still
+    // connected
+    _discard(session, domain){
+        const browser = session.browser;
+        this._reset(session);
+        browser?.close().catch(e=>logger.warn('Error closing browser',
+            {domain, err: e}));
+    }
+
+    // Returns the tab id of page, registering it on first sight
+    _trackPage(session, page, {opened=false}={}){
+        for (const [id, tab] of session.tabs)
+        {
+            if (tab===page)
+                return id;
+        }
+        const id = `t${++this._tabSeq}`;
+        session.tabs.set(id, page);
+        if (opened)
+            this._newTabs.push(id);
+        page.once('close', ()=>{
+            session.tabs.delete(id);
+            if (session.current==id)
+                session.current = [...session.tabs.keys()].pop() || null;
+        });
+        return id;
+    }
+
+    async _openTab(session){
+        const page = await session.context.newPage();
+        const id = this._trackPage(session, page);
+        // not opened by the site, whether or not the page event came first
+        this._newTabs = this._newTabs.filter(tab=>tab!=id);
+        return id;
+    }
+
+    _findTab(id){
+        for (const [domain, session] of this._domainSessions)
+        {
+            if (session.tabs.has(id))
+                return {domain, session, page: session.tabs.get(id)};
+        }
+        throw new UserError(`No open tab ${id}, use scraping_browser_tabs `
+            +'to list the open tabs');
+    }
+
     async get_browser({log, domain='default'}={}){
         try {
             const session = await this._getDomainSession(domain, {log});
@@ -39,112 +126,190 @@ export class Browser_session {
                 catch(e){
                     log?.(`Browser connection lost for domain ${domain} (${e.message}), `
                         +`reconnecting...`);
-                    session.browser = null;
-                    session.page = null;
-                    session.browserClosed = true;
+                    this._discard(session, domain);
                 }
             }
             if (!session.browser)
             {
-                log?.(`Connecting to Bright Data Scraping Browser for domain ${domain}.`);
-                session.browser = await playwright.chromium.connectOverCDP(
-                    this.cdp_endpoint);
-                session.browserClosed = false;
-                session.browser.on('disconnected', () => {
-                    log?.(`Browser disconnected for domain ${domain}`);
-                    session.browser = null;
-                    session.page = null;
-                    session.browserClosed = true;
-                });
-                log?.(`Connected to Bright Data Scraping Browser for domain ${domain}`);
+                // concurrent calls share one connection attempt
+                session.connecting = session.connecting
+                    || this._connect(session, domain, {log}).finally(()=>{
+                        session.connecting = null;
+                    });
+                return await session.connecting;
             }
             return session.browser;
         } catch(e){
-            console.error(`Error connecting to browser for domain ${domain}:`, e);
+            logger.error('Error connecting to browser', {domain, err: e});
             const session = this._domainSessions.get(domain);
-            if (session) 
+            if (session)
+                this._discard(session, domain);
+            throw e;
+        }
+    }
+
+    async _connect(session, domain, {log}={}){
+        const release = await this.before_connect?.(domain);
+        try {
+            log?.(`Connecting to Bright Data Scraping Browser for domain ${domain}.`);
+            const browser = await playwright.chromium.connectOverCDP(
+                typeof this.cdp_endpoint=='function'
+                ? await this.cdp_endpoint() : this.cdp_endpoint);
+            const connected_at = Date.now();
+            browser.on('disconnected', () => {
+                log?.(`Browser disconnected for domain ${domain}`);
+                this.on_browser_time?.(Date.now()-connected_at);
+                // already replaced, e.g. discarded after an error
+                if (session.browser!==browser)
+                    return;
+                this._reset(session);
+                if (this._domainSessions.get(domain)===session)
+                    this._domainSessions.delete(domain);
+            });
+            if (this._domainSessions.get(domain)!==session)
             {
-                session.browser = null;
-                session.page = null;
-                session.browserClosed = true;
+                // closed while connecting
+                await browser.close();
+                throw new UserError('The browser session was closed');
             }
-            throw e;
+            session.browser = browser;
+            session.browserClosed = false;
+            log?.(`Connected to Bright Data Scraping Browser for domain ${domain}`);
+            return browser;
+        } finally {
+            release?.();
         }
     }
 
-    async get_page({url=null}={}){
-        if (url) 
+    // Connects the domain browser if needed and returns its context, with
+    // every existing and future page tracked as a tab
+    async _getContext(domain){
+        const session = await this._getDomainSession(domain);
+        if (session.browserClosed || !session.context)
+        {
+            const browser = await this.get_browser({domain});
+            const context = browser.contexts()[0]
+                || await browser.newContext();
+            for (const page of context.pages())
+                this._trackPage(session, page);
+            context.on('page', page=>{
+                const id = this._trackPage(session, page, {opened: true});
+                logger.debug('Browser tab opened', {domain, tab: id});
+            });
+            session.context = context;
+            session.browserClosed = false;
+        }
+        return session;
+    }
+
+    async get_page({url=null, tab=null}={}){
+        if (tab)
+        {
+            const {domain, session, page} = this._findTab(tab);
+            this._currentDomain = domain;
+            session.current = tab;
+            session.last_used = Date.now();
+            return page;
+        }
+        if (url && this.domain_routing)
         {
             this._currentDomain = this._getDomain(url);
         }
         const domain = this._currentDomain;
         try {
-            const session = await this._getDomainSession(domain);
-            if (session.browserClosed || !session.page)
+            const session = await this._getContext(domain);
+            session.last_used = Date.now();
+            if (!session.tabs.has(session.current))
             {
-                const browser = await this.get_browser({domain});
-                const existingContexts = browser.contexts();
-                if (existingContexts.length === 0)
-                {
-                    const context = await browser.newContext();
-                    session.page = await context.newPage();
-                }
-                else
-                {
-                    const existingPages = existingContexts[0]?.pages();
-                    if (existingPages && existingPages.length > 0)
-                        session.page = existingPages[0];
-                    else
-                        session.page = await existingContexts[0].newPage();
-                }
-                session.browserClosed = false;
-                session.page.once('close', ()=>{
-                    session.page = null;
-                });
+                session.current = [...session.tabs.keys()].pop()
+                    || await this._openTab(session);
             }
-            return session.page;
+            return session.tabs.get(session.current);
         } catch(e){
-            console.error(`Error getting page for domain ${domain}:`, e);
+            logger.error('Error getting page', {domain, err: e});
             const session = this._domainSessions.get(domain);
-            if (session) 
+            if (session)
+                this._discard(session, domain);
+            throw e;
+        }
+    }
+
+    // Tab ids the site opened by itself since the last call
+    take_new_tabs(){
+        const ids = this._newTabs;
+        this._newTabs = [];
+        return ids;
+    }
+
+    async list_tabs(){
+        const tabs = [];
+        for (const [domain, session] of this._domainSessions)
+        {
+            for (const [id, page] of session.tabs)
             {
-                session.browser = null;
-                session.page = null;
-                session.browserClosed = true;
+                let title = '';
+                try { title = await page.title(); }
+                catch(e){ /* page is navigating or closing */ }
+                tabs.push({id, url: page.url(), title, domain,
+                    active: domain==this._currentDomain
+                        && id==session.current});
             }
-            throw e;
         }
+        return tabs;
+    }
+
+    // Opens a tab (with domain_routing, in the browser of the url's domain)
+    // and makes it the current tab
+    async new_tab({url=null}={}){
+        const domain = url && this.domain_routing ? this._getDomain(url)
+            : this._currentDomain;
+        const session = await this._getContext(domain);
+        session.last_used = Date.now();
+        const id = await this._openTab(session);
+        this._currentDomain = domain;
+        session.current = id;
+        return {id, page: session.tabs.get(id)};
+    }
+
+    async switch_tab(id){
+        const page = await this.get_page({tab: id});
+        await page.bringToFront();
+        return page;
+    }
+
+    async close_tab(id){
+        const {session, page} = this._findTab(id);
+        await page.close();
+        // the close event may not have fired yet
+        session.tabs.delete(id);
+        if (session.current==id)
+            session.current = [...session.tabs.keys()].pop() || null;
     }
 
     async close(domain=null){
         if (domain) {
             const session = this._domainSessions.get(domain);
-            if (session && session.browser) 
+            if (session && session.browser)
             {
                 try { await session.browser.close(); }
-                catch(e){ console.error(`Error closing browser for domain ${domain}:`, e); }
-                session.browser = null;
-                session.page = null;
-                session.browserClosed = true;
+                catch(e){ logger.warn('Error closing browser', {domain, err: e}); }
+                this._reset(session);
                 this._domainSessions.delete(domain);
             }
         } else {
             for (const [domain, session] of this._domainSessions.entries()) {
-                if (session.browser) 
+                if (session.browser)
                 {
                     try { await session.browser.close(); }
-                    catch(e){ console.error(`Error closing browser for domain ${domain}:`, e); }
-                    session.browser = null;
-                    session.page = null;
-                    session.browserClosed = true;
+                    catch(e){ logger.warn('Error closing browser', {domain, err: e}); }
+                    this._reset(session);
                 }
             }
             this._domainSessions.clear();
         }
-        if (!domain) 
+        if (!domain)
         {
             this._currentDomain = 'default';
         }
     }
 }
-
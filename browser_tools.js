@@ -2,22 +2,358 @@
 import {UserError, imageContent as image_content} from 'fastmcp';
 import {z} from 'zod';
 import axios from 'axios';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
 import {Browser_session} from './browser_session.js';
+import {logger} from './logger.js';
+import {env_int} from './util.js';
+import {snapshot_page, ref_selector, REF_ATTRIBUTE} from
+    './page_snapshot.js';
 let browser_zone = process.env.BROWSER_ZONE || 'mcp_browser';
+// scraping_browser_upload_file only reads files from the tenant's
+// subdirectory of this directory, named after its tenant id (as in metrics
+// and the usage export)
+const upload_dir = process.env.BROWSER_UPLOAD_DIR;
 
-let open_session;
-const sessions = new Map();
-const require_browser = async(apiToken, browserZone)=>{
-    const sessionKey = `${apiToken}-${browserZone}`;
-    if (!sessions.has(sessionKey))
+// BROWSER_DOMAIN_ROUTING=true gives the default session one browser per
+// domain, as sessions created with domain_routing do
+const default_domain_routing = process.env.BROWSER_DOMAIN_ROUTING==='true';
+// Sessions unused for BROWSER_IDLE_TIMEOUT seconds are closed (0: never),
+// as are the browsers of a session unused for that long
+const idle_timeout = env_int('BROWSER_IDLE_TIMEOUT', 300)*1000;
+// Open browsers per tenant, across its zones; connecting one more closes the
+// least recently used browser of an idle session, or fails if there is none
+const max_browsers = env_int('BROWSER_MAX_PER_TENANT', 5, {min: 1});
+
+// Browser sessions per tenant and zone: {owner: the tenant, limit: its
+// entry in tenant_limits, sessions: Map of session id to {id, name,
+// browser, created_at, last_used}, busy: Map of session id to running tool
+// calls, closed: Map of session id to {reason, at} for sessions closed by
+// the server in the last hour}.
+// Tools without a session parameter use the 'default' one, created on
+// first use.
+const tenants = new Map();
+// BROWSER_MAX_PER_TENANT bookkeeping per tenant, shared by all its zones so
+// switching zones doesn't get round it: {zones: Set of its tenants entries,
+// room: make_room calls of the tenant, one at a time, connecting: browser
+// connections in progress}
+const tenant_limits = new Map();
+// set by close_all_sessions, from then on no browser is connected
+let shutting_down = false;
+
+const tenant_sessions = ({apiToken, browserZone, record_usage, session})=>{
+    // access keys sharing an upstream token still get separate sessions
+    const owner = session?.tenantId||apiToken;
+    const key = `${owner}-${browserZone}`;
+    if (!tenants.has(key))
+    {
+        if (!tenant_limits.has(owner))
+        {
+            tenant_limits.set(owner, {zones: new Set(),
+                room: Promise.resolve(), connecting: 0});
+        }
+        let endpoint;
+        tenants.set(key, {
+            owner,
+            limit: tenant_limits.get(owner),
+            sessions: new Map(),
+            busy: new Map(),
+            closed: new Map(),
+            // shared by the tenant's sessions, fetched on first connect
+            cdp_endpoint: ()=>endpoint = endpoint
+                || calculate_cdp_endpoint(apiToken, browserZone)
+                .catch(e=>{
+                    endpoint = null;
+                    throw e;
+                }),
+            record_usage,
+        });
+        tenants.get(key).limit.zones.add(tenants.get(key));
+    }
+    return tenants.get(key);
+};
+
+function create_session(tenant, {id, name, domain_routing}){
+    const entry = {
+        id,
+        name: name||null,
+        domain_routing,
+        browser: new Browser_session({
+            cdp_endpoint: tenant.cdp_endpoint,
+            domain_routing,
+            on_browser_time: ms=>tenant.record_usage?.({browser_ms: ms}),
+            before_connect: domain=>make_room(tenant, id, domain),
+        }),
+        created_at: new Date(),
+        last_used: new Date(),
+    };
+    tenant.sessions.set(id, entry);
+    return entry;
+}
+
+const require_browser = async(ctx, session_id='default')=>{
+    const tenant = tenant_sessions(ctx);
+    let entry = tenant.sessions.get(session_id);
+    if (!entry && session_id=='default')
+    {
+        entry = create_session(tenant, {id: 'default',
+            domain_routing: default_domain_routing});
+    }
+    if (!entry)
+    {
+        const {reason} = tenant.closed.get(session_id)||{};
+        throw new UserError(`No browser session ${session_id}`
+            +(reason ? ` (it was closed: ${reason})` : '')
+            +', use scraping_browser_session_list to list the open sessions');
+    }
+    entry.last_used = new Date();
+    return entry.browser;
+};
+
+// Removes the session and ends its browsers; reason is reported to tools
+// that use the session afterwards
+async function close_session(tenant, entry, reason){
+    tenant.sessions.delete(entry.id);
+    if (reason)
+    {
+        tenant.closed.set(entry.id, {reason, at: Date.now()});
+        // only the most recent ones are worth explaining
+        if (tenant.closed.size>100)
+            tenant.closed.delete(tenant.closed.keys().next().value);
+    }
+    await entry.browser.close();
+}
+
+// Called before session_id connects a browser for domain: closes the least
+// recently used browsers of the tenant, in any zone, until there is room for
+// it, counting the connections in progress. Browsers of sessions with a running tool call
+// are only taken from session_id itself, and never the one for domain.
+// Resolves to a function releasing the reserved room once connected.
+function make_room(tenant, session_id, domain){
+    const {limit} = tenant;
+    const reserved = limit.room.then(async()=>{
+        if (shutting_down)
+            throw new UserError('The server is shutting down, try again');
+        await evict_lru(tenant, session_id, domain);
+        limit.connecting++;
+        let released = false;
+        return ()=>{
+            if (!released)
+                limit.connecting--;
+            released = true;
+        };
+    });
+    limit.room = reserved.catch(()=>{});
+    return reserved;
+}
+
+async function evict_lru(tenant, session_id, domain){
+    for (;;)
+    {
+        const candidates = [];
+        for (const zone of tenant.limit.zones)
+        {
+            for (const entry of zone.sessions.values())
+            {
+                for (const browser of entry.browser.browsers())
+                    candidates.push({zone, entry, ...browser});
+            }
+        }
+        if (candidates.length+tenant.limit.connecting<max_browsers)
+            return;
+        const is_own = ({zone, entry})=>zone==tenant && entry.id==session_id;
+        const lru = candidates.filter(c=>is_own(c) ? c.domain!=domain
+            : !c.zone.busy.get(c.entry.id))
+            .sort((a, b)=>a.last_used-b.last_used)[0];
+        if (!lru)
+        {
+            throw new UserError(`Too many open browsers (at most `
+                +`${max_browsers}), close a session with `
+                +'scraping_browser_close and try again');
+        }
+        logger.info('Evicting least recently used browser', {
+            session: lru.entry.id, domain: lru.domain});
+        if (lru.entry.browser.connected_browsers==1 && !is_own(lru))
+        {
+            await close_session(lru.zone, lru.entry, 'evicted to make room '
+                +`for another browser, at most ${max_browsers} can be open`);
+        }
+        else
+            await lru.entry.browser.close(lru.domain);
+    }
+}
+
+// Closes idle sessions and the idle browsers of the others, and forgets
+// tenants with nothing left
+async function close_idle(){
+    const now = Date.now();
+    for (const [key, tenant] of tenants)
+    {
+        for (const [id, {at}] of tenant.closed)
+        {
+            if (now-at>3600*1000)
+                tenant.closed.delete(id);
+        }
+        for (const entry of [...tenant.sessions.values()])
+        {
+            if (tenant.busy.get(entry.id))
+                continue;
+            if (now-entry.last_used>idle_timeout)
+            {
+                logger.info('Closing idle browser session',
+                    {session: entry.id});
+                await close_session(tenant, entry, `idle for more than `
+                    +`${idle_timeout/1000}s`);
+                continue;
+            }
+            for (const {domain, last_used} of entry.browser.browsers())
+            {
+                if (now-last_used>idle_timeout)
+                    await entry.browser.close(domain);
+            }
+        }
+        if (!tenant.sessions.size && !tenant.busy.size && !tenant.closed.size
+            && !tenant.limit.connecting)
+        {
+            tenants.delete(key);
+            tenant.limit.zones.delete(tenant);
+            if (!tenant.limit.zones.size)
+                tenant_limits.delete(tenant.owner);
+        }
+    }
+}
+
+if (idle_timeout>0)
+{
+    let sweeping = false;
+    setInterval(async()=>{
+        if (sweeping)
+            return;
+        sweeping = true;
+        try { await close_idle(); }
+        catch(e){ logger.error('Error closing idle browsers', {err: e}); }
+        finally { sweeping = false; }
+    }, Math.min(idle_timeout, 60*1000)).unref();
+}
+
+// Ends every browser session and refuses new browser connections, for
+// shutdown
+export async function close_all_sessions(){
+    shutting_down = true;
+    const closing = [];
+    for (const tenant of tenants.values())
+    {
+        for (const entry of [...tenant.sessions.values()])
+            closing.push(close_session(tenant, entry, 'server shutdown'));
+    }
+    await Promise.allSettled(closing);
+    tenants.clear();
+    tenant_limits.clear();
+}
+
+// Marks the session a tool call uses as busy while it runs, so it is not
+// evicted under it
+const track_use = tool=>({...tool, execute: async(params, ctx)=>{
+    const tenant = tenant_sessions(ctx);
+    const id = params?.session || 'default';
+    tenant.busy.set(id, (tenant.busy.get(id)||0)+1);
+    try { return await tool.execute(params, ctx); }
+    finally {
+        const n = tenant.busy.get(id)-1;
+        if (n)
+            tenant.busy.set(id, n);
+        else
+            tenant.busy.delete(id);
+        const entry = tenant.sessions.get(id);
+        if (entry)
+            entry.last_used = new Date();
+    }
+}});
+
+// Scraping Browser connections currently open, for the metrics endpoint
+export const active_browsers = ()=>[...tenants.values()]
+    .flatMap(tenant=>[...tenant.sessions.values()])
+    .reduce((n, entry)=>n+entry.browser.connected_browsers, 0);
+
+const session_parameter = z.string()
+    .regex(/^(default|s_[0-9a-f]{8})$/, 'must be a session id like s_1a2b3c4d')
+    .optional()
+    .describe('Browser session from scraping_browser_session_create '
+        +'(default: the default session)');
+
+const ref_parameter = z.string().regex(/^e\d+$/, 'must be a ref like e12')
+    .optional()
+    .describe('Element ref from scraping_browser_snapshot, instead of a '
+        +'selector');
+
+const tab_parameter = z.string().regex(/^t\d+$/, 'must be a tab id like t2')
+    .optional()
+    .describe('Tab to use, from scraping_browser_tabs (default: the current '
+        +'tab)');
+
+// Mentions the tabs the site opened since the last call, e.g. after a click
+// on a target=_blank link
+const new_tabs_notice = browser=>{
+    const ids = browser.take_new_tabs();
+    return ids.length ? `\nNew tab opened: ${ids.join(', ')}. Use `
+        +'scraping_browser_tab_switch to continue there' : '';
+};
+
+// Resolves the ref or selector parameter of element tools to a selector and
+// a description of the element for messages. With optional, returns null
+// when neither is given.
+const element_target = ({ref, selector}, {optional=false}={})=>{
+    if (optional && !ref && !selector)
+        return null;
+    if (!ref==!selector)
     {
-        sessions.set(sessionKey, new Browser_session({
-            cdp_endpoint: await calculate_cdp_endpoint(apiToken, browserZone),
-        }));
+        throw new UserError('Pass either ref (from scraping_browser_snapshot) '
+            +'or selector');
     }
-    return sessions.get(sessionKey);
+    return ref ? {selector: ref_selector(ref), target: `ref ${ref}`}
+        : {selector, target: selector};
 };
 
+const element_error = (action, {ref, target}, e)=>new UserError(
+    `Error ${action} element ${target}: ${e}`
+    +(ref ? '\nThe ref may be stale, take a new scraping_browser_snapshot'
+    : ''));
+
+// Resolves file names relative to the tenant's directory in upload_dir,
+// refusing anything (including symlinks) that ends up outside of it
+async function sandboxed_files(files, tenant_id){
+    if (!upload_dir || !tenant_id)
+    {
+        throw new UserError('File uploads are disabled on this server '
+            +'(BROWSER_UPLOAD_DIR is not set)');
+    }
+    if (!files.length)
+        return [];
+    let root;
+    try { root = await fs.realpath(path.join(upload_dir, tenant_id)); }
+    catch(e){
+        throw new UserError('No upload directory is set up for this user');
+    }
+    const outside = file=>new UserError(`File ${file} is outside of the `
+        +'upload directory');
+    return Promise.all(files.map(async file=>{
+        // checked before touching the file system, so files outside can't
+        // be probed
+        const resolved = path.resolve(root, file);
+        if (!resolved.startsWith(root+path.sep))
+            throw outside(file);
+        let real;
+        try { real = await fs.realpath(resolved); }
+        catch(e){ throw new UserError(`File not found: ${file}`); }
+        if (!real.startsWith(root+path.sep))
+            throw outside(file);
+        if (!(await fs.stat(real)).isFile())
+            throw new UserError(`Not a file: ${file}`);
+        return real;
+    }));
+}
+
 const calculate_cdp_endpoint = async(apiToken, browserZone)=>{
     try {
         const status_response = await axios({
@@ -47,9 +383,11 @@ let scraping_browser_navigate = {
     description: 'Navigate a scraping browser session to a new URL',
     parameters: z.object({
         url: z.string().describe('The URL to navigate to'),
+        tab: tab_parameter,
+        session: session_parameter,
     }),
-    execute: async({url}, ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page({url});
+    execute: async({url, tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).get_page({url, tab});
         try {
             await page.goto(url, {
                 timeout: 120000,
@@ -69,9 +407,12 @@ let scraping_browser_navigate = {
 let scraping_browser_go_back = {
     name: 'scraping_browser_go_back',
     description: 'Go back to the previous page',
-    parameters: z.object({}),
-    execute: async(ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    parameters: z.object({
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try {
             await page.goBack();
             return [
@@ -88,9 +429,12 @@ let scraping_browser_go_back = {
 const scraping_browser_go_forward = {
     name: 'scraping_browser_go_forward',
     description: 'Go forward to the next page',
-    parameters: z.object({}),
-    execute: async(ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    parameters: z.object({
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try {
             await page.goForward();
             return [
@@ -107,44 +451,80 @@ const scraping_browser_go_forward = {
 let scraping_browser_click = {
     name: 'scraping_browser_click',
     description: [
-        'Click on an element.',
-        'Avoid calling this unless you know the element selector (you can use '
-        +'other tools to find those)',
+        'Click on an element, given its ref or CSS selector.',
+        'Avoid calling this unless you know the element ref or selector (take '
+        +'a scraping_browser_snapshot to get refs)',
     ].join('\n'),
     parameters: z.object({
-        selector: z.string().describe('CSS selector for the element to click'),
+        ref: ref_parameter,
+        selector: z.string().optional()
+            .describe('CSS selector for the element to click'),
+        tab: tab_parameter,
+        session: session_parameter,
     }),
-    execute: async({selector},ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    execute: async({ref, selector: css, tab, session}, ctx)=>{
+        const {selector, target} = element_target({ref, selector: css});
+        const browser = await require_browser(ctx, session);
+        const page = await browser.get_page({tab});
         try {
             await page.click(selector, {timeout: 5000});
-            return `Successfully clicked element: ${selector}`;
+            return `Successfully clicked element: ${target}`
+            +new_tabs_notice(browser);
         } catch(e){
-            throw new UserError(`Error clicking element ${selector}: ${e}`);
+            throw element_error('clicking', {ref, target}, e);
         }
     },
 };
 
+let scraping_browser_snapshot = {
+    name: 'scraping_browser_snapshot',
+    description: [
+        'Get an accessibility snapshot of the current page: headings, '
+        +'landmarks and interactive elements (links, buttons, inputs, '
+        +'selects), each interactive element with a ref like e12.',
+        'Pass a ref to the click, type, scroll_to and wait_for tools instead '
+        +'of guessing CSS selectors. Refs stay valid until the element is '
+        +'removed from the page',
+    ].join('\n'),
+    parameters: z.object({
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).get_page({tab});
+        try { return await snapshot_page(page); }
+        catch(e){ throw new UserError(`Error taking page snapshot: ${e}`); }
+    },
+};
+
 let scraping_browser_links = {
     name: 'scraping_browser_links',
     description: [
-        'Get all links on the current page, text and selectors',
+        'Get all links on the current page, with their text and refs',
         "It's strongly recommended that you call the links tool to check that "
         +'your click target is valid',
     ].join('\n'),
-    parameters: z.object({}),
-    execute: async(ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    parameters: z.object({
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try {
-            const links = await page.$$eval('a', elements=>{
+            const links = await page.$$eval('a', (elements, attribute)=>{
                 return elements.map(el=>{
+                    if (!el.getAttribute(attribute))
+                    {
+                        window.__mcp_ref_seq = (window.__mcp_ref_seq||0)+1;
+                        el.setAttribute(attribute, `e${window.__mcp_ref_seq}`);
+                    }
                     return {
                         text: el.innerText,
                         href: el.href,
-                        selector: el.outerHTML,
+                        ref: el.getAttribute(attribute),
                     };
                 });
-            });
+            }, REF_ATTRIBUTE);
             return JSON.stringify(links, null, 2);
         } catch(e){
             throw new UserError(`Error getting links: ${e}`);
@@ -156,22 +536,28 @@ let scraping_browser_type = {
     name: 'scraping_browser_type',
     description: 'Type text into an element',
     parameters: z.object({
-        selector: z.string()
+        ref: ref_parameter,
+        selector: z.string().optional()
             .describe('CSS selector for the element to type into'),
         text: z.string().describe('Text to type'),
         submit: z.boolean().optional()
             .describe('Whether to submit the form after typing (press Enter)'),
+        tab: tab_parameter,
+        session: session_parameter,
     }),
-    execute: async({selector, text, submit},ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    // typed text may be a password, keep it out of the logs
+    sensitive: ['text'],
+    execute: async({ref, selector: css, text, submit, tab, session}, ctx)=>{
+        const {selector, target} = element_target({ref, selector: css});
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try {
             await page.fill(selector, text);
             if (submit)
                 await page.press(selector, 'Enter');
             return `Successfully typed "${text}" into element: `
-            +`${selector}${submit ? ' and submitted the form' : ''}`;
+            +`${target}${submit ? ' and submitted the form' : ''}`;
         } catch(e){
-            throw new UserError(`Error typing into element ${selector}: ${e}`);
+            throw element_error('typing into', {ref, target}, e);
         }
     },
 };
@@ -180,17 +566,21 @@ let scraping_browser_wait_for = {
     name: 'scraping_browser_wait_for',
     description: 'Wait for an element to be visible on the page',
     parameters: z.object({
-        selector: z.string().describe('CSS selector to wait for'),
+        ref: ref_parameter,
+        selector: z.string().optional().describe('CSS selector to wait for'),
         timeout: z.number().optional()
             .describe('Maximum time to wait in milliseconds (default: 30000)'),
+        tab: tab_parameter,
+        session: session_parameter,
     }),
-    execute: async({selector, timeout},ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    execute: async({ref, selector: css, timeout, tab, session}, ctx)=>{
+        const {selector, target} = element_target({ref, selector: css});
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try {
             await page.waitForSelector(selector, {timeout: timeout||30000});
-            return `Successfully waited for element: ${selector}`;
+            return `Successfully waited for element: ${target}`;
         } catch(e){
-            throw new UserError(`Error waiting for element ${selector}: ${e}`);
+            throw element_error('waiting for', {ref, target}, e);
         }
     },
 };
@@ -204,9 +594,11 @@ let scraping_browser_screenshot = {
             'You should avoid fullscreen if it\'s not important, since the '
             +'images can be quite large',
         ].join('\n')),
+        tab: tab_parameter,
+        session: session_parameter,
     }),
-    execute: async({full_page = false},ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    execute: async({full_page = false, tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try {
             const buffer = await page.screenshot({fullPage: full_page});
             return image_content({buffer});
@@ -227,9 +619,11 @@ let scraping_browser_get_html = {
             'Avoid this if you only need the extra HTML, since it can be '
             +'quite large',
         ].join('\n')),
+        tab: tab_parameter,
+        session: session_parameter,
     }),
-    execute: async({full_page = false},ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    execute: async({full_page = false, tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try {
             if (!full_page)
                 return await page.$eval('body', body=>body.innerHTML);
@@ -246,9 +640,12 @@ let scraping_browser_get_html = {
 let scraping_browser_get_text = {
     name: 'scraping_browser_get_text',
     description: 'Get the text content of the current page',
-    parameters: z.object({}),
-    execute: async(ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    parameters: z.object({
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try { return await page.$eval('body', body=>body.innerText); }
         catch(e){ throw new UserError(`Error getting text content: ${e}`); }
     },
@@ -268,9 +665,12 @@ let scraping_browser_activation_instructions = {
 let scraping_browser_scroll = {
     name: 'scraping_browser_scroll',
     description: 'Scroll to the bottom of the current page',
-    parameters: z.object({}),
-    execute: async(ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    parameters: z.object({
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try {
             await page.evaluate(()=>{
                 window.scrollTo(0, document.body.scrollHeight);
@@ -286,23 +686,354 @@ let scraping_browser_scroll_to = {
     name: 'scraping_browser_scroll_to',
     description: 'Scroll to a specific element on the page',
     parameters: z.object({
-        selector: z.string().describe('CSS selector for the element to scroll to'),
+        ref: ref_parameter,
+        selector: z.string().optional()
+            .describe('CSS selector for the element to scroll to'),
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({ref, selector: css, tab, session}, ctx)=>{
+        const {selector, target} = element_target({ref, selector: css});
+        const page = await (await require_browser(ctx, session)).get_page({tab});
+        try {
+            await page.locator(selector).first().evaluate(element=>{
+                element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }, null, {timeout: 5000});
+            return `Successfully scrolled to element: ${target}`;
+        } catch(e){
+            throw element_error('scrolling to', {ref, target}, e);
+        }
+    },
+};
+
+let scraping_browser_select_option = {
+    name: 'scraping_browser_select_option',
+    description: 'Select one or more options in a <select> element, by '
+    +'option value or label',
+    parameters: z.object({
+        ref: ref_parameter,
+        selector: z.string().optional()
+            .describe('CSS selector for the select element'),
+        values: z.array(z.string()).min(1)
+            .describe('Values or labels of the options to select'),
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({ref, selector: css, values, tab, session}, ctx)=>{
+        const {selector, target} = element_target({ref, selector: css});
+        const page = await (await require_browser(ctx, session)).get_page({tab});
+        try {
+            const selected = await page.selectOption(selector, values,
+                {timeout: 5000});
+            return `Successfully selected ${JSON.stringify(selected)} in `
+            +`element: ${target}`;
+        } catch(e){
+            throw element_error('selecting options in', {ref, target}, e);
+        }
+    },
+};
+
+let scraping_browser_hover = {
+    name: 'scraping_browser_hover',
+    description: 'Move the mouse over an element, e.g. to open a hover menu',
+    parameters: z.object({
+        ref: ref_parameter,
+        selector: z.string().optional()
+            .describe('CSS selector for the element to hover'),
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({ref, selector: css, tab, session}, ctx)=>{
+        const {selector, target} = element_target({ref, selector: css});
+        const page = await (await require_browser(ctx, session)).get_page({tab});
+        try {
+            await page.hover(selector, {timeout: 5000});
+            return `Successfully hovered over element: ${target}`;
+        } catch(e){
+            throw element_error('hovering over', {ref, target}, e);
+        }
+    },
+};
+
+let scraping_browser_press_key = {
+    name: 'scraping_browser_press_key',
+    description: [
+        'Press a key or a key combination, e.g. Enter, Escape, ArrowDown, '
+        +'Tab or Control+A.',
+        'Pass a ref or selector to focus that element first, otherwise the '
+        +'key goes to the focused element',
+    ].join('\n'),
+    parameters: z.object({
+        key: z.string().min(1).describe('Key name as in KeyboardEvent.key, '
+            +'with optional modifiers: Shift+Tab, Control+Enter'),
+        ref: ref_parameter,
+        selector: z.string().optional()
+            .describe('CSS selector for the element to focus first'),
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({key, ref, selector: css, tab, session}, ctx)=>{
+        const element = element_target({ref, selector: css},
+            {optional: true});
+        const browser = await require_browser(ctx, session);
+        const page = await browser.get_page({tab});
+        try {
+            if (element)
+                await page.press(element.selector, key, {timeout: 5000});
+            else
+                await page.keyboard.press(key);
+            return `Successfully pressed ${key}`
+            +(element ? ` on element: ${element.target}` : '')
+            +new_tabs_notice(browser);
+        } catch(e){
+            if (element)
+                throw element_error(`pressing ${key} on`, {ref, ...element}, e);
+            throw new UserError(`Error pressing ${key}: ${e}`);
+        }
+    },
+};
+
+let scraping_browser_check = {
+    name: 'scraping_browser_check',
+    description: 'Check or uncheck a checkbox, radio button or switch',
+    parameters: z.object({
+        ref: ref_parameter,
+        selector: z.string().optional()
+            .describe('CSS selector for the checkbox or radio button'),
+        checked: z.boolean().optional().default(true)
+            .describe('Whether it should end up checked (default: true)'),
+        tab: tab_parameter,
+        session: session_parameter,
     }),
-    execute: async({selector},ctx)=>{
-        const page = await (await require_browser(ctx.apiToken, ctx.browserZone)).get_page();
+    execute: async({ref, selector: css, checked, tab, session}, ctx)=>{
+        const {selector, target} = element_target({ref, selector: css});
+        const page = await (await require_browser(ctx, session)).get_page({tab});
         try {
-            await page.evaluate(sel=>{
-                const element = document.querySelector(sel);
-                if (element)
-                    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                else 
-                    throw new Error(`Element with selector "${sel}" not found`);
-                
-            }, selector);
-            return `Successfully scrolled to element: ${selector}`;
+            await page.setChecked(selector, checked, {timeout: 5000});
+            return `Successfully ${checked ? 'checked' : 'unchecked'} `
+            +`element: ${target}`;
+        } catch(e){
+            throw element_error(checked ? 'checking' : 'unchecking',
+                {ref, target}, e);
+        }
+    },
+};
+
+let scraping_browser_upload_file = {
+    name: 'scraping_browser_upload_file',
+    description: 'Set the files of a file input, from the upload directory '
+    +'configured on the server. Pass an empty list to clear it',
+    parameters: z.object({
+        ref: ref_parameter,
+        selector: z.string().optional()
+            .describe('CSS selector for the input[type=file] element'),
+        files: z.array(z.string().min(1)).max(20)
+            .describe('File names, relative to the upload directory'),
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({ref, selector: css, files, tab, session}, ctx)=>{
+        const {selector, target} = element_target({ref, selector: css});
+        const paths = await sandboxed_files(files, ctx.session?.tenantId);
+        const page = await (await require_browser(ctx, session)).get_page({tab});
+        try {
+            await page.setInputFiles(selector, paths, {timeout: 5000});
+            return files.length ? `Successfully uploaded ${files.join(', ')} `
+                +`to element: ${target}`
+                : `Successfully cleared the files of element: ${target}`;
+        } catch(e){
+            throw element_error('uploading files to', {ref, target}, e);
+        }
+    },
+};
+
+const format_tab = ({id, title, url, active})=>
+    `${active ? '*' : '-'} ${id}: ${title||'(no title)'} ${url}`;
+
+let scraping_browser_tabs = {
+    name: 'scraping_browser_tabs',
+    description: 'List the open browser tabs, including tabs and popups the '
+    +'site opened. The current tab is marked with *',
+    parameters: z.object({session: session_parameter}),
+    execute: async({session}, ctx)=>{
+        const browser = await require_browser(ctx, session);
+        const tabs = await browser.list_tabs();
+        browser.take_new_tabs();
+        return tabs.length ? tabs.map(format_tab).join('\n')
+            : 'No open tabs';
+    },
+};
+
+let scraping_browser_tab_new = {
+    name: 'scraping_browser_tab_new',
+    description: 'Open a new tab, optionally navigating it to a URL, and '
+    +'make it the current tab',
+    parameters: z.object({
+        url: z.string().optional().describe('The URL to open'),
+        session: session_parameter,
+    }),
+    execute: async({url, session}, ctx)=>{
+        const {id, page} = await (await require_browser(ctx, session))
+            .new_tab({url});
+        try {
+            if (url)
+            {
+                await page.goto(url, {
+                    timeout: 120000,
+                    waitUntil: 'domcontentloaded',
+                });
+            }
+            return [
+                `Opened tab ${id}`,
+                `Title: ${await page.title()}`,
+                `URL: ${page.url()}`,
+            ].join('\n');
         } catch(e){
-            throw new UserError(`Error scrolling to element ${selector}: ${e}`);
+            throw new UserError(`Opened tab ${id} but could not navigate to `
+                +`${url}: ${e}`);
+        }
+    },
+};
+
+let scraping_browser_tab_switch = {
+    name: 'scraping_browser_tab_switch',
+    description: 'Make a tab the current tab used by the other browser tools',
+    parameters: z.object({
+        tab: z.string().regex(/^t\d+$/, 'must be a tab id like t2')
+            .describe('Tab id from scraping_browser_tabs'),
+        session: session_parameter,
+    }),
+    execute: async({tab, session}, ctx)=>{
+        const page = await (await require_browser(ctx, session)).switch_tab(tab);
+        return [
+            `Switched to tab ${tab}`,
+            `Title: ${await page.title()}`,
+            `URL: ${page.url()}`,
+        ].join('\n');
+    },
+};
+
+let scraping_browser_tab_close = {
+    name: 'scraping_browser_tab_close',
+    description: 'Close a tab (default: the current tab)',
+    parameters: z.object({
+        tab: tab_parameter,
+        session: session_parameter,
+    }),
+    execute: async({tab, session}, ctx)=>{
+        const browser = await require_browser(ctx, session);
+        if (!tab)
+        {
+            const current = (await browser.list_tabs()).find(t=>t.active);
+            if (!current)
+                throw new UserError('There is no open tab to close');
+            tab = current.id;
+        }
+        await browser.close_tab(tab);
+        const active = (await browser.list_tabs()).find(t=>t.active);
+        return `Closed tab ${tab}`+(active
+            ? `\nCurrent tab: ${format_tab(active)}` : '');
+    },
+};
+
+let scraping_browser_session_create = {
+    name: 'scraping_browser_session_create',
+    description: [
+        'Create a separate browser session, with its own browser, tabs and '
+        +'cookies, and return its id.',
+        'Pass the id as session to the other browser tools, e.g. to run '
+        +'tasks in parallel without sharing pages. Tools without a session '
+        +'use the default session',
+    ].join('\n'),
+    parameters: z.object({
+        name: z.string().max(100).optional()
+            .describe('Label to recognize the session in the session list'),
+        domain_routing: z.boolean().optional().default(false)
+            .describe('Use a separate browser (and cookies) for each domain '
+                +'navigated to, instead of one browser for the session'),
+    }),
+    execute: async({name, domain_routing}, ctx)=>{
+        const tenant = tenant_sessions(ctx);
+        const {id} = create_session(tenant, {name, domain_routing,
+            id: `s_${crypto.randomBytes(4).toString('hex')}`});
+        return JSON.stringify({session: id, name: name||null,
+            domain_routing});
+    },
+};
+
+let scraping_browser_session_list = {
+    name: 'scraping_browser_session_list',
+    description: 'List the open browser sessions with their tabs',
+    parameters: z.object({}),
+    execute: async(data, ctx)=>{
+        const tenant = tenant_sessions(ctx);
+        const list = [];
+        for (const {id, name, domain_routing, browser, created_at,
+            last_used} of tenant.sessions.values())
+        {
+            list.push({
+                session: id,
+                name,
+                domain_routing,
+                connected_browsers: browser.connected_browsers,
+                tabs: await browser.list_tabs(),
+                created_at: created_at.toISOString(),
+                last_used: last_used.toISOString(),
+            });
+        }
+        return JSON.stringify(list);
+    },
+};
+
+let scraping_browser_session_close = {
+    name: 'scraping_browser_session_close',
+    description: 'Close a browser session with all its tabs, ending its '
+    +'remote browsers',
+    parameters: z.object({
+        session: session_parameter.unwrap()
+            .describe('Session id from scraping_browser_session_create, or '
+                +'default'),
+    }),
+    execute: async({session}, ctx)=>{
+        const tenant = tenant_sessions(ctx);
+        const entry = tenant.sessions.get(session);
+        if (!entry)
+            throw new UserError(`No browser session ${session}`);
+        await close_session(tenant, entry);
+        return `Closed browser session ${session}`;
+    },
+};
+
+let scraping_browser_close = {
+    name: 'scraping_browser_close',
+    description: [
+        'Close all your browser sessions, or only the given one, ending '
+        +'their remote browsers.',
+        'Call it when done browsing: open browsers are billed until they are '
+        +'closed or time out',
+    ].join('\n'),
+    parameters: z.object({
+        session: session_parameter.describe('Session to close (default: '
+            +'all sessions)'),
+    }),
+    execute: async({session}, ctx)=>{
+        const tenant = tenant_sessions(ctx);
+        const entries = session ? [tenant.sessions.get(session)]
+            : [...tenant.sessions.values()];
+        if (!entries[0])
+        {
+            if (session)
+                throw new UserError(`No browser session ${session}`);
+            return 'No open browser sessions';
+        }
+        let browsers = 0;
+        for (const entry of entries)
+        {
+            browsers += entry.browser.connected_browsers;
+            await close_session(tenant, entry);
         }
+        return `Closed ${entries.length} browser session(s) with ${browsers} `
+            +'open browser(s)';
     },
 };
 
@@ -314,9 +1045,14 @@ let scraping_browser_scroll_to = {
 //     browser_credentials = null;
 // }
 export const tools = [
+    scraping_browser_session_create,
+    scraping_browser_session_list,
+    scraping_browser_session_close,
+    scraping_browser_close,
     scraping_browser_navigate,
     scraping_browser_go_back,
     scraping_browser_go_forward,
+    scraping_browser_snapshot,
     scraping_browser_links,
     scraping_browser_click,
     scraping_browser_type,
@@ -326,4 +1062,13 @@ export const tools = [
     scraping_browser_get_html,
     scraping_browser_scroll,
     scraping_browser_scroll_to,
-];
+    scraping_browser_select_option,
+    scraping_browser_hover,
+    scraping_browser_press_key,
+    scraping_browser_check,
+    scraping_browser_upload_file,
+    scraping_browser_tabs,
+    scraping_browser_tab_new,
+    scraping_browser_tab_switch,
+    scraping_browser_tab_close,
+].map(track_use);
@@ -0,0 +1,230 @@
+'use strict'; /*jslint node:true es9:true*/
+import fs from 'node:fs';
+import path from 'node:path';
+import {createRequire} from 'node:module';
+import {z} from 'zod';
+import YAML from 'yaml';
+import {glob_regex} from './util.js';
+import {logger} from './logger.js';
+
+const require = createRequire(import.meta.url);
+
+const rule_schema = z.object({
+    type: z.enum(['url', 'string', 'number', 'integer', 'enum']).optional(),
+    hosts: z.array(z.string().min(1)).min(1).optional(),
+    path: z.string().optional(),
+    pattern: z.string().optional(),
+    min: z.number().optional(),
+    max: z.number().optional(),
+    values: z.array(z.string()).min(1).optional(),
+    message: z.string().optional(),
+}).strict().superRefine((rule, ctx)=>{
+    for (let key of ['path', 'pattern'])
+    {
+        try { rule[key]!==undefined && new RegExp(rule[key]); }
+        catch(e){
+            ctx.addIssue({code: z.ZodIssueCode.custom, path: [key],
+                message: `invalid regular expression: ${e.message}`});
+        }
+    }
+    if (rule.type=='enum' && !rule.values)
+    {
+        ctx.addIssue({code: z.ZodIssueCode.custom, path: ['values'],
+            message: 'enum inputs need a list of values'});
+    }
+});
+
+// parameters of the web_data_* tools themselves, see server.js
+const reserved_inputs = ['inputs', 'wait', 'fields', 'limit', 'format'];
+
+const dataset_schema = z.object({
+    id: z.string().regex(/^[a-z0-9_]+$/,
+        'must be lowercase letters, digits and underscores'),
+    dataset_id: z.string().regex(/^gd_[a-z0-9]+$/,
+        'must look like gd_xxxxxxxx'),
+    group: z.string().regex(/^[a-z0-9_]+$/).optional(),
+    description: z.union([z.string().min(1), z.array(z.string()).min(1)]),
+    inputs: z.array(z.string().regex(/^[a-z0-9_]+$/)).min(1)
+        .refine(inputs=>new Set(inputs).size==inputs.length,
+            'must not repeat an input'),
+    defaults: z.record(z.union([z.string(), z.number()])).optional(),
+    validate: z.record(rule_schema).optional(),
+}).strict().superRefine((def, ctx)=>{
+    def.inputs.forEach((input, i)=>{
+        if (reserved_inputs.includes(input))
+        {
+            ctx.addIssue({code: z.ZodIssueCode.custom, path: ['inputs', i],
+                message: `"${input}" is reserved for a parameter of the `
+                    +'web_data tool, rename the input'});
+        }
+    });
+    for (let field of ['defaults', 'validate'])
+    {
+        for (let key of Object.keys(def[field]||{}))
+        {
+            if (!def.inputs.includes(key))
+            {
+                ctx.addIssue({code: z.ZodIssueCode.custom, path: [field, key],
+                    message: 'given for an input that is not listed'});
+            }
+        }
+    }
+});
+
+// What a trailing .* of a host stands for: a top-level domain (amazon.com,
+// amazon.de) or a second-level one under a country code (amazon.co.uk,
+// amazon.com.au), so that amazon.* doesn't take amazon.evil.com
+const public_suffix = '(?:com|net|org|[a-z]{2}'
+    +'|(?:co|com|net|org|ne|or|ac|gov|edu)\\.[a-z]{2})';
+
+// A host matches itself and its subdomains: 'amazon.*' matches amazon.com,
+// www.amazon.co.uk, smile.amazon.de, ... Any other * is part of a label.
+const host_regex = host=>{
+    let any_suffix = host.endsWith('.*');
+    let name = any_suffix ? host.slice(0, -2) : host;
+    return new RegExp('^(?:[^.]+\\.)*'+name.toLowerCase().split('*')
+        .map(s=>s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*')
+        +(any_suffix ? `\\.${public_suffix}` : '')+'$');
+};
+
+const host_matches = (hostname, hosts)=>hosts.some(host=>
+    host_regex(host).test(hostname.toLowerCase()));
+
+const describe_rule = rule=>[
+    rule.hosts && `a URL on ${rule.hosts.join(' or ')}`,
+    rule.path && `with a path matching ${rule.path}`,
+    rule.values && `one of: ${rule.values.join(', ')}`,
+    rule.min!==undefined && `at least ${rule.min}`,
+    rule.max!==undefined && `at most ${rule.max}`,
+].filter(Boolean).join(', ');
+
+// Zod schema for one dataset input, from its validation rule. The URL input
+// defaults to type url, any other to string.
+export function input_schema(name, rule={}, default_value){
+    let type = rule.type || (name=='url' ? 'url' : 'string');
+    let hint = rule.message || describe_rule(rule);
+    let must = hint ? ` (expected ${hint})` : '';
+    let schema;
+    if (type=='number' || type=='integer')
+    {
+        schema = z.coerce.number({
+            invalid_type_error: `must be a number${must}`});
+        if (type=='integer')
+            schema = schema.int(`must be a whole number${must}`);
+        if (rule.min!==undefined)
+        {
+            schema = schema.min(rule.min,
+                `must be at least ${rule.min}${must}`);
+        }
+        if (rule.max!==undefined)
+        {
+            schema = schema.max(rule.max,
+                `must be at most ${rule.max}${must}`);
+        }
+    }
+    else if (type=='enum')
+        schema = z.enum(rule.values, {errorMap: ()=>({message: `must be one `
+            +`of: ${rule.values.join(', ')}`})});
+    else
+    {
+        schema = type=='url' ? z.string().url(`must be a valid URL${must}`)
+            : z.string().min(1, `must not be empty${must}`);
+        if (rule.pattern)
+        {
+            schema = schema.regex(new RegExp(rule.pattern),
+                `must match ${rule.pattern}${must}`);
+        }
+        if (type=='url' && (rule.hosts || rule.path))
+        {
+            schema = schema.refine(value=>{
+                let url;
+                try { url = new URL(value); }
+                catch(e){ return true; } // reported by .url()
+                return (!rule.hosts || host_matches(url.hostname, rule.hosts))
+                    && (!rule.path || new RegExp(rule.path)
+                    .test(url.pathname+url.search));
+            }, `is not a supported URL${must}`);
+        }
+    }
+    if (hint)
+        schema = schema.describe(`Expected ${hint}`);
+    return default_value!==undefined ? schema.default(default_value) : schema;
+}
+
+const parse_patterns = str=>(str||'').split(',').map(s=>s.trim())
+    .filter(Boolean).map(glob_regex);
+
+function read_file(file){
+    let text = fs.readFileSync(file, 'utf8');
+    let data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    let defs = Array.isArray(data) ? data : data?.datasets;
+    if (!Array.isArray(defs))
+    {
+        throw new Error(`${file}: expected a list of datasets or an object `
+            +'with a "datasets" list');
+    }
+    return defs.map((def, i)=>({def, source: `${file}[${i}]`}));
+}
+
+function read_path(p){
+    if (!fs.statSync(p).isDirectory())
+        return read_file(p);
+    return fs.readdirSync(p).filter(name=>/\.(json|ya?ml)$/i.test(name))
+        .sort().flatMap(name=>read_file(path.join(p, name)));
+}
+
+// Loads the built-in datasets.json plus every file or directory in paths,
+// validates them and applies the include/exclude id patterns. Throws one
+// error listing every problem found.
+export function load_datasets({paths=[], builtin=true, include, exclude}={}){
+    let entries = builtin ? require('./datasets.json')
+        .map((def, i)=>({def, source: `datasets.json[${i}]`})) : [];
+    let errors = [];
+    for (let p of paths)
+    {
+        try { entries.push(...read_path(p)); }
+        catch(e){ errors.push(`${p}: ${e.message}`); }
+    }
+    let datasets = [];
+    let seen = new Map();
+    for (let {def, source} of entries)
+    {
+        let parsed = dataset_schema.safeParse(def);
+        if (!parsed.success)
+        {
+            for (let issue of parsed.error.issues)
+            {
+                errors.push(`${source}${def?.id ? ` (${def.id})` : ''} `
+                    +`${issue.path.join('.')||'definition'}: `
+                    +issue.message);
+            }
+            continue;
+        }
+        let {id, description, dataset_id} = parsed.data;
+        if (seen.has(id))
+        {
+            errors.push(`${source}: duplicate dataset id "${id}", already `
+                +`defined in ${seen.get(id).source}`);
+            continue;
+        }
+        let shared = [...seen.values()].find(d=>d.dataset_id==dataset_id);
+        if (shared)
+        {
+            logger.warn('Datasets share a dataset_id', {dataset_id,
+                source, id, shared_source: shared.source,
+                shared_id: shared.id});
+        }
+        let dataset = {group: 'other', ...parsed.data, source,
+            description: Array.isArray(description) ? description.join('\n')
+            : description};
+        seen.set(id, dataset);
+        datasets.push(dataset);
+    }
+    if (errors.length)
+        throw new Error(`Invalid dataset definitions:\n- ${errors.join('\n- ')}`);
+    let included = parse_patterns(include);
+    let excluded = parse_patterns(exclude);
+    return datasets.filter(({id})=>
+        (!included.length || included.some(re=>re.test(id)))
+        && !excluded.some(re=>re.test(id)));
+}
@@ -0,0 +1,415 @@
+'use strict'; /*jslint node:true es9:true*/
+import {UserError} from 'fastmcp';
+import axios from 'axios';
+import {z} from 'zod';
+
+const same_value = (a, b)=>String(a ?? '').replace(/\/+$/, '')
+    ==String(b ?? '').replace(/\/+$/, '');
+
+const matches_input = (record, input)=>record?.input
+    && Object.keys(input).every(key=>record.input[key]===undefined
+        || same_value(record.input[key], input[key]));
+
+const record_error = record=>record.error || record.error_code
+    ? [record.error_code, record.error].filter(Boolean).join(': ')
+    : null;
+
+// Validates the single-input fields of a dataset tool call, or each entry of
+// `inputs`, and returns the list of inputs to trigger.
+export function collect_inputs({inputs, ...single}, item_schema){
+    let items = inputs || [single];
+    return items.map((item, i)=>{
+        let parsed = item_schema.safeParse(item);
+        if (!parsed.success)
+        {
+            let where = inputs ? `inputs[${i}]` : 'input';
+            throw new UserError(`Invalid ${where}: `+parsed.error.issues
+                .map(issue=>`${issue.path.join('.')||'value'}: `
+                +issue.message).join('; '));
+        }
+        return parsed.data;
+    });
+}
+
+// Maps the records of a multi-input snapshot back onto the inputs that
+// produced them, using the `input` echoed in each record (or the record
+// order when the dataset doesn't echo it).
+export function map_snapshot_results(inputs, records){
+    records = Array.isArray(records) ? records : [records];
+    let echoed = records.some(record=>record?.input);
+    let results = inputs.map(input=>({input, status: 'ok', records: []}));
+    let unmatched = [];
+    records.forEach((record, i)=>{
+        let result = echoed
+            ? results.find(({input})=>matches_input(record, input))
+            : records.length==inputs.length ? results[i] : null;
+        if (!result)
+            return void unmatched.push(record);
+        let error = record_error(record);
+        if (error)
+        {
+            result.status = 'error';
+            result.error = error;
+        }
+        else
+            result.records.push(record);
+    });
+    for (let result of results)
+    {
+        if (result.status=='ok' && !result.records.length)
+        {
+            result.status = 'error';
+            result.error = 'No records returned for this input';
+        }
+    }
+    return {results, unmatched};
+}
+
+// Keeps recently downloaded snapshots so paging through a large one with
+// web_data_snapshot_result downloads it only once.
+export class Snapshot_store {
+    constructor({ttl=10*60*1000, max_entries=20}={}){
+        this.ttl = ttl;
+        this.max_entries = max_entries;
+        this._entries = new Map();
+    }
+
+    _key(apiToken, snapshot_id){ return `${apiToken}\n${snapshot_id}`; }
+
+    get(apiToken, snapshot_id){
+        let key = this._key(apiToken, snapshot_id);
+        let entry = this._entries.get(key);
+        if (!entry || entry.expires<=Date.now())
+        {
+            this._entries.delete(key);
+            return null;
+        }
+        return entry.records;
+    }
+
+    set(apiToken, snapshot_id, records){
+        let key = this._key(apiToken, snapshot_id);
+        this._entries.delete(key);
+        this._entries.set(key, {records, expires: Date.now()+this.ttl});
+        while (this._entries.size>this.max_entries)
+            this._entries.delete(this._entries.keys().next().value);
+    }
+}
+
+export function paginate_records(records, {offset=0, limit}){
+    records = Array.isArray(records) ? records : [records];
+    let page = records.slice(offset, offset+limit);
+    let next_offset = offset+page.length;
+    return {
+        total: records.length,
+        offset,
+        limit,
+        next_offset: next_offset<records.length ? next_offset : null,
+        records: page,
+    };
+}
+
+export class Dataset_error extends UserError {
+    constructor(code, message, extras={}){
+        super(message, {error: code, ...extras});
+        this.code = code;
+    }
+}
+
+const pending_statuses = ['running', 'building', 'starting', 'collecting'];
+
+export const is_snapshot_pending = data=>!Array.isArray(data)
+    && pending_statuses.includes(data?.status);
+
+export function check_snapshot_failed(snapshot_id, data){
+    if (data?.status!='failed')
+        return;
+    throw new Dataset_error('snapshot_failed', `Snapshot ${snapshot_id} `
+        +`failed: ${data.message||data.error||'collection failed'}`,
+        {snapshot_id});
+}
+
+// 4xx other than timeout/too many requests won't succeed by polling again
+const is_retryable = status=>!status || status>=500
+    || [408, 429].includes(status);
+
+const sleep = (ms, signal)=>new Promise((resolve, reject)=>{
+    if (signal?.aborted)
+        return void reject(signal.reason);
+    let on_abort = ()=>{
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    let timer = setTimeout(()=>{
+        signal?.removeEventListener('abort', on_abort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', on_abort, {once: true});
+});
+
+// Polls a snapshot until it is ready, with exponential backoff plus jitter
+// between attempts. Gives up on the deadline, on non-retryable HTTP statuses
+// and as soon as signal aborts.
+export async function poll_snapshot({snapshot_id, headers, signal,
+    timeout=600*1000, min_delay=1000, max_delay=15*1000, on_poll, log})
+{
+    let started = Date.now();
+    let delay = min_delay;
+    let cancelled = ()=>new Dataset_error('cancelled', `Polling for snapshot `
+        +`${snapshot_id} was cancelled`, {snapshot_id});
+    for (let attempt = 1; ; attempt++)
+    {
+        if (signal?.aborted)
+            throw cancelled();
+        await on_poll?.({attempt, elapsed: Date.now()-started, timeout});
+        try {
+            let response = await axios({
+                url: `https://api.brightdata.com/datasets/v3/snapshot/`
+                    +`${encodeURIComponent(snapshot_id)}`,
+                params: {format: 'json'},
+                method: 'GET',
+                headers,
+                signal,
+            });
+            let data = response.data;
+            check_snapshot_failed(snapshot_id, data);
+            if (!is_snapshot_pending(data))
+            {
+                let empty = Array.isArray(data) ? !data.length
+                    : !data || data.status=='ready'
+                    || /empty/i.test(data.message||'');
+                if (empty)
+                {
+                    throw new Dataset_error('empty_snapshot', `Snapshot `
+                        +`${snapshot_id} returned no records`, {snapshot_id});
+                }
+                log?.(`snapshot data received after ${attempt} attempts`);
+                return data;
+            }
+            log?.(`snapshot not ready, polling again (attempt ${attempt})`);
+        } catch(e){
+            if (e instanceof Dataset_error)
+                throw e;
+            if (signal?.aborted || axios.isCancel(e))
+                throw cancelled();
+            if (!is_retryable(e.response?.status))
+                throw e;
+            log?.(`polling error: ${e.message}`);
+        }
+        let remaining = started+timeout-Date.now();
+        if (remaining<=0)
+        {
+            throw new Dataset_error('timeout', `Timeout after `
+                +`${Math.round(timeout/1000)} seconds waiting for snapshot `
+                +`${snapshot_id}. Fetch it later with `
+                +'web_data_snapshot_result', {snapshot_id});
+        }
+        let jittered = delay/2+Math.random()*delay/2;
+        try { await sleep(Math.min(jittered, remaining), signal); }
+        catch(e){ throw cancelled(); }
+        delay = Math.min(delay*2, max_delay);
+    }
+}
+
+const is_plain_object = v=>v && typeof v=='object' && !Array.isArray(v);
+
+function project_path(value, path){
+    if (!path.length)
+        return value;
+    if (Array.isArray(value))
+        return value.map(item=>project_path(item, path));
+    if (!is_plain_object(value) || value[path[0]]===undefined)
+        return undefined;
+    let inner = project_path(value[path[0]], path.slice(1));
+    return inner===undefined ? undefined : {[path[0]]: inner};
+}
+
+function merge_projection(a, b){
+    if (a===undefined)
+        return b;
+    if (Array.isArray(a) && Array.isArray(b))
+        return a.map((item, i)=>merge_projection(item, b[i]));
+    if (is_plain_object(a) && is_plain_object(b))
+    {
+        let merged = {...a};
+        for (let [key, value] of Object.entries(b))
+            merged[key] = merge_projection(a[key], value);
+        return merged;
+    }
+    return b===undefined ? a : b;
+}
+
+// fields are dotted paths; a path crossing an array is applied to each item
+export function project_record(record, fields){
+    if (!fields?.length || !is_plain_object(record))
+        return record;
+    let projected = {};
+    for (let field of fields)
+    {
+        projected = merge_projection(projected,
+            project_path(record, field.split('.')) || {});
+    }
+    return projected;
+}
+
+function flatten_record(record, prefix='', out={}){
+    if (!is_plain_object(record))
+    {
+        out[prefix||'value'] = record;
+        return out;
+    }
+    for (let [key, value] of Object.entries(record))
+    {
+        let name = prefix ? `${prefix}.${key}` : key;
+        if (is_plain_object(value))
+            flatten_record(value, name, out);
+        else
+            out[name] = value;
+    }
+    return out;
+}
+
+const cell = v=>v==null ? '' : typeof v=='object' ? JSON.stringify(v)
+    : String(v);
+
+function to_table(records){
+    let rows = records.map(record=>flatten_record(record));
+    let columns = [];
+    for (let row of rows)
+    {
+        for (let key of Object.keys(row))
+        {
+            if (!columns.includes(key))
+                columns.push(key);
+        }
+    }
+    return {columns, rows};
+}
+
+const csv_cell = v=>{
+    let s = cell(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const md_cell = v=>cell(v).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+export const output_formats = ['json', 'jsonl', 'csv', 'markdown_table'];
+
+export function format_records(records, format='json'){
+    if (format=='jsonl')
+        return records.map(record=>JSON.stringify(record)).join('\n');
+    if (format=='csv')
+    {
+        let {columns, rows} = to_table(records);
+        return [columns.map(csv_cell).join(','),
+            ...rows.map(row=>columns.map(c=>csv_cell(row[c])).join(','))]
+            .join('\n');
+    }
+    if (format=='markdown_table')
+    {
+        let {columns, rows} = to_table(records);
+        if (!columns.length)
+            return '';
+        return [`| ${columns.map(md_cell).join(' | ')} |`,
+            `| ${columns.map(()=>'---').join(' | ')} |`,
+            ...rows.map(row=>`| ${columns.map(c=>md_cell(row[c]))
+                .join(' | ')} |`)].join('\n');
+    }
+    return JSON.stringify(records);
+}
+
+// The largest count of records whose render(count) fits max_chars (0 = no
+// cap). render is assumed to grow with the count.
+function fit_chars(count, render, max_chars){
+    if (!max_chars || render(count).length<=max_chars)
+        return count;
+    let lo = 0, hi = count;
+    while (lo<hi)
+    {
+        let mid = Math.ceil((lo+hi)/2);
+        if (render(mid).length<=max_chars)
+            lo = mid;
+        else
+            hi = mid-1;
+    }
+    return lo;
+}
+
+const truncation_notice = (returned, total, snapshot_id)=>
+    returned<total ? `[truncated: showing ${returned} of ${total} records, `
+    +`${total-returned} omitted. Use limit, fields or `
+    +'web_data_snapshot_result paging'
+    +(snapshot_id ? ` with snapshot_id ${snapshot_id}` : '')
+    +' to see more]' : null;
+
+// Applies field projection, the record limit and the output format, then
+// drops trailing records until the text fits max_chars (0 = no cap).
+// Returns the text plus a notice when anything was left out.
+export function shape_records(records, {fields, limit, format='json',
+    max_chars=0, snapshot_id}={})
+{
+    records = Array.isArray(records) ? records : [records];
+    let total = records.length;
+    let shaped = records.slice(0, limit ?? total)
+        .map(record=>project_record(record, fields));
+    let render = count=>format_records(shaped.slice(0, count), format);
+    let returned = fit_chars(shaped.length, render, max_chars);
+    return {text: render(returned), notice: truncation_notice(returned, total,
+        snapshot_id), total, returned};
+}
+
+export const shaping_parameters = {
+    fields: z.array(z.string()).optional()
+        .describe('Only return these fields. Dotted paths select nested '
+            +'fields, e.g. ["title", "seller.name", "reviews.rating"]'),
+    limit: z.number().int().min(1).optional()
+        .describe('Maximum number of records to return (per input when '
+            +'`inputs` is used)'),
+    format: z.enum(output_formats).optional().default('json')
+        .describe('json, jsonl, csv or markdown_table. Table formats '
+            +'flatten nested fields into dotted columns'),
+};
+
+// shape_records for the per-input results of map_snapshot_results, with
+// the unmatched records limited as a whole. Table formats get one row per
+// record, prefixed with its input index and status. The char cap drops
+// records from the end, unmatched ones first.
+export function shape_batch_results({results, unmatched}, {fields, limit,
+    format='json', max_chars=0, snapshot_id}={})
+{
+    let shape = records=>records.slice(0, limit ?? records.length)
+        .map(record=>project_record(record, fields));
+    let total = unmatched.length;
+    let shaped = results.map(result=>{
+        total += result.records.length;
+        return {...result, records: shape(result.records)};
+    });
+    let shaped_unmatched = shape(unmatched);
+    let count = shaped_unmatched.length
+        +shaped.reduce((sum, result)=>sum+result.records.length, 0);
+    let render = keep=>{
+        let take = records=>{
+            let kept = records.slice(0, keep);
+            keep -= kept.length;
+            return kept;
+        };
+        let kept = shaped.map(result=>({...result,
+            records: take(result.records)}));
+        let kept_unmatched = take(shaped_unmatched);
+        if (format=='json')
+            return JSON.stringify({results: kept, unmatched: kept_unmatched});
+        let rows = kept.flatMap((result, input_index)=>{
+            let base = {input_index, status: result.status,
+                ...result.error ? {error: result.error} : {}};
+            return result.records.length
+                ? result.records.map(record=>({...base, ...record}))
+                : [base];
+        });
+        rows.push(...kept_unmatched.map(record=>({input_index: null,
+            status: 'unmatched', ...record})));
+        return format_records(rows, format);
+    };
+    let returned = fit_chars(count, render, max_chars);
+    return {text: render(returned), notice: truncation_notice(returned, total,
+        snapshot_id), total, returned};
+}
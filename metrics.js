@@ -0,0 +1,190 @@
+'use strict'; /*jslint node:true es9:true*/
+import {logger} from './logger.js';
+
+// Minimal Prometheus text exposition (format 0.0.4) for the /metrics
+// endpoint: counters, gauges and histograms with fixed label names.
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escape_value = v=>String(v).replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const escape_help = s=>s.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const format_labels = (names, values, extra='')=>{
+    let pairs = names.map((name, i)=>`${name}="${escape_value(values[i])}"`);
+    if (extra)
+        pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const format_number = n=>Number.isFinite(n) ? String(n)
+    : n>0 ? '+Inf' : n<0 ? '-Inf' : 'NaN';
+
+class Metric {
+    constructor(type, name, help, label_names=[]){
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.label_names = label_names;
+        this._series = new Map();
+    }
+
+    _values(labels={}){
+        return this.label_names.map(name=>labels[name]??'');
+    }
+
+    _get(labels, init){
+        let values = this._values(labels);
+        let key = values.join('\u0000');
+        let series = this._series.get(key);
+        if (!series)
+        {
+            series = {values, ...init()};
+            this._series.set(key, series);
+        }
+        return series;
+    }
+
+    _header(){
+        return [`# HELP ${this.name} ${escape_help(this.help)}`,
+            `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help, label_names){
+        super('counter', name, help, label_names);
+    }
+
+    inc(labels, n=1){ this._get(labels, ()=>({value: 0})).value += n; }
+
+    render(){
+        return [...this._header(), ...[...this._series.values()]
+            .map(({values, value})=>`${this.name}`
+                +`${format_labels(this.label_names, values)} `
+                +format_number(value))];
+    }
+}
+
+// collect, when given, is called on every scrape and returns either a number
+// or a list of {labels, value}
+export class Gauge extends Metric {
+    constructor(name, help, label_names, collect){
+        super('gauge', name, help, label_names);
+        this.collect = collect;
+    }
+
+    set(labels, value){ this._get(labels, ()=>({value: 0})).value = value; }
+
+    inc(labels, n=1){ this._get(labels, ()=>({value: 0})).value += n; }
+
+    dec(labels, n=1){ this.inc(labels, -n); }
+
+    render(){
+        if (this.collect)
+        {
+            let collected = this.collect();
+            this._series.clear();
+            for (let {labels, value} of typeof collected=='number'
+                ? [{value: collected}] : collected)
+            {
+                this.set(labels, value);
+            }
+        }
+        return [...this._header(), ...[...this._series.values()]
+            .map(({values, value})=>`${this.name}`
+                +`${format_labels(this.label_names, values)} `
+                +format_number(value))];
+    }
+}
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60,
+    120];
+
+export class Histogram extends Metric {
+    constructor(name, help, label_names, buckets=DEFAULT_BUCKETS){
+        super('histogram', name, help, label_names);
+        this.buckets = [...buckets].sort((a, b)=>a-b);
+    }
+
+    observe(labels, value){
+        let series = this._get(labels, ()=>({
+            counts: this.buckets.map(()=>0), sum: 0, count: 0}));
+        this.buckets.forEach((le, i)=>{
+            if (value<=le)
+                series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // starts a timer, the returned function observes the elapsed seconds
+    start_timer(labels){
+        let started = process.hrtime.bigint();
+        return (more_labels={})=>this.observe({...labels, ...more_labels},
+            Number(process.hrtime.bigint()-started)/1e9);
+    }
+
+    render(){
+        let lines = this._header();
+        for (let {values, counts, sum, count} of this._series.values())
+        {
+            this.buckets.forEach((le, i)=>lines.push(`${this.name}_bucket`
+                +format_labels(this.label_names, values,
+                `le="${format_number(le)}"`)+` ${counts[i]}`));
+            lines.push(`${this.name}_bucket`+format_labels(this.label_names,
+                values, 'le="+Inf"')+` ${count}`);
+            lines.push(`${this.name}_sum`
+                +`${format_labels(this.label_names, values)} ${sum}`);
+            lines.push(`${this.name}_count`
+                +`${format_labels(this.label_names, values)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+export class Registry {
+    constructor(){ this._metrics = new Map(); }
+
+    _add(metric){
+        if (this._metrics.has(metric.name))
+            throw new Error(`Metric ${metric.name} is already registered`);
+        this._metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, label_names){
+        return this._add(new Counter(name, help, label_names));
+    }
+
+    gauge(name, help, label_names, collect){
+        return this._add(new Gauge(name, help, label_names, collect));
+    }
+
+    histogram(name, help, label_names, buckets){
+        return this._add(new Histogram(name, help, label_names, buckets));
+    }
+
+    render(){
+        let lines = [];
+        for (let metric of this._metrics.values())
+        {
+            try { lines.push(...metric.render()); }
+            catch(e){
+                logger.error('Error collecting metric', {metric: metric.name,
+                    err: e});
+            }
+        }
+        return lines.join('\n')+'\n';
+    }
+}
+
+// Upstream API paths with the snapshot id replaced, so they can be used as a
+// label without one series per snapshot
+export const api_endpoint = url=>{
+    let pathname;
+    try { pathname = new URL(url).pathname; }
+    catch(e){ return 'unknown'; }
+    return pathname.replace(/\/(progress|snapshot)\/[^/]+/, '/$1/:id');
+};
@@ -0,0 +1,199 @@
+'use strict'; /*jslint node:true es9:true*/
+
+// Elements get a data-mcp-ref attribute the first time a snapshot (or the
+// links tool) sees them, so a ref stays valid for as long as the element
+// stays in the page.
+export const REF_ATTRIBUTE = 'data-mcp-ref';
+
+export const ref_selector = ref=>`[${REF_ATTRIBUTE}="${ref}"]`;
+
+// Runs in the page, so it must not use anything from this module. Returns
+// {lines, truncated} describing headings, landmarks and interactive
+// elements, each interactive one with its ref. Only the top frame and open
+// shadow roots are walked.
+function collect({attribute, max_nodes}){
+    const landmarks = {nav: 'navigation', main: 'main', header: 'banner',
+        footer: 'contentinfo', aside: 'complementary', form: 'form',
+        dialog: 'dialog'};
+    const interactive_roles = ['link', 'button', 'textbox', 'searchbox',
+        'checkbox', 'radio', 'combobox', 'listbox', 'option', 'slider',
+        'spinbutton', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+        'menuitemradio', 'treeitem'];
+    const landmark_roles = Object.values(landmarks).concat(['region',
+        'navigation', 'search', 'menu', 'menubar', 'tablist', 'alertdialog']);
+    const clean = (s, max=80)=>{
+        s = (s||'').replace(/\s+/g, ' ').trim();
+        return s.length>max ? s.slice(0, max-1)+'…' : s;
+    };
+    const input_role = el=>{
+        switch ((el.getAttribute('type')||'text').toLowerCase())
+        {
+        case 'checkbox': return 'checkbox';
+        case 'radio': return 'radio';
+        case 'button': case 'submit': case 'reset': case 'image':
+            return 'button';
+        case 'range': return 'slider';
+        case 'number': return 'spinbutton';
+        case 'search': return 'searchbox';
+        case 'hidden': return null;
+        default: return 'textbox';
+        }
+    };
+    const role_of = el=>{
+        const explicit = el.getAttribute('role');
+        if (explicit)
+            return explicit.split(' ')[0];
+        const tag = el.tagName.toLowerCase();
+        if (tag=='a')
+            return el.hasAttribute('href') ? 'link' : null;
+        if (tag=='button' || tag=='summary')
+            return 'button';
+        if (tag=='input')
+            return input_role(el);
+        if (tag=='textarea')
+            return 'textbox';
+        if (tag=='select')
+            return el.multiple ? 'listbox' : 'combobox';
+        if (/^h[1-6]$/.test(tag))
+            return 'heading';
+        if (tag=='section' && (el.getAttribute('aria-label')
+            || el.getAttribute('aria-labelledby')))
+        {
+            return 'region';
+        }
+        if (landmarks[tag])
+            return landmarks[tag];
+        if (el.isContentEditable && el.getAttribute('contenteditable')!==null)
+            return 'textbox';
+        return null;
+    };
+    // landmarks are only named explicitly, not after their content
+    const name_of = (el, from_content=true)=>{
+        const label = el.getAttribute('aria-label');
+        if (label)
+            return clean(label);
+        const labelledby = el.getAttribute('aria-labelledby');
+        if (labelledby)
+        {
+            return clean(labelledby.split(/\s+/)
+                .map(id=>document.getElementById(id)?.innerText||'')
+                .join(' '));
+        }
+        if (el.labels?.length)
+            return clean([...el.labels].map(l=>l.innerText).join(' '));
+        const tag = el.tagName.toLowerCase();
+        if (tag=='input' && ['button', 'submit', 'reset']
+            .includes(el.type))
+        {
+            return clean(el.value);
+        }
+        if (['input', 'textarea'].includes(tag))
+            return clean(el.placeholder || el.title);
+        if (tag=='select' || !from_content)
+            return clean(el.title);
+        return clean(el.innerText || el.getAttribute('alt') || el.title
+            || el.querySelector('img[alt]')?.alt);
+    };
+    const hidden = el=>{
+        if (el.getAttribute('aria-hidden')=='true' || el.hidden)
+            return true;
+        const style = getComputedStyle(el);
+        return style.display=='none' || style.visibility=='hidden';
+    };
+    const state_of = (el, role)=>{
+        const states = [];
+        if (role=='heading')
+        {
+            states.push(`[level=${el.getAttribute('aria-level')
+                || el.tagName.slice(1)}]`);
+        }
+        if (['checkbox', 'radio', 'switch', 'menuitemcheckbox',
+            'menuitemradio'].includes(role))
+        {
+            const checked = el.checked ?? el.getAttribute('aria-checked')
+                =='true';
+            if (checked)
+                states.push('[checked]');
+        }
+        if (el.disabled || el.getAttribute('aria-disabled')=='true')
+            states.push('[disabled]');
+        if (el.getAttribute('aria-expanded'))
+            states.push(`[expanded=${el.getAttribute('aria-expanded')}]`);
+        if (role=='combobox' && el.tagName=='SELECT')
+            states.push(`selected="${clean(el.selectedOptions[0]?.text)}"`);
+        else if (['textbox', 'searchbox', 'spinbutton', 'slider']
+            .includes(role) && el.value)
+        {
+            states.push(el.type=='password' ? 'value="••••"'
+                : `value="${clean(el.value, 40)}"`);
+        }
+        if (role=='link' && el.getAttribute('href'))
+            states.push(`href="${clean(el.getAttribute('href'), 100)}"`);
+        return states;
+    };
+    const ref_of = el=>{
+        let ref = el.getAttribute(attribute);
+        if (!ref)
+        {
+            window.__mcp_ref_seq = (window.__mcp_ref_seq||0)+1;
+            ref = `e${window.__mcp_ref_seq}`;
+            el.setAttribute(attribute, ref);
+        }
+        return ref;
+    };
+    const lines = [];
+    let truncated = false;
+    const walk = (el, depth)=>{
+        if (hidden(el))
+            return;
+        const role = role_of(el);
+        const is_interactive = interactive_roles.includes(role);
+        const is_landmark = landmark_roles.includes(role);
+        let child_depth = depth;
+        let start = lines.length;
+        if (is_interactive || role=='heading' || is_landmark)
+        {
+            if (lines.length>=max_nodes)
+            {
+                truncated = true;
+                return;
+            }
+            const name = name_of(el, !is_landmark);
+            const parts = [`${' '.repeat(depth*2)}- ${role}`];
+            if (name)
+                parts.push(JSON.stringify(name));
+            if (is_interactive)
+                parts.push(`[ref=${ref_of(el)}]`);
+            parts.push(...state_of(el, role));
+            lines.push(parts.join(' '));
+            if (is_interactive)
+                return; // the name already covers the content
+            if (is_landmark)
+                child_depth++;
+        }
+        for (const child of [...el.shadowRoot?.children||[],
+            ...el.children])
+        {
+            walk(child, child_depth);
+        }
+        // drop landmarks that contain nothing worth showing
+        if (is_landmark && lines.length==start+1)
+            lines.pop();
+    };
+    walk(document.body, 0);
+    return {lines, truncated};
+}
+
+// Compact accessibility view of the page for agents, e.g.
+//   - navigation "Main"
+//     - link "Pricing" [ref=e4] href="/pricing"
+//   - textbox "Email" [ref=e7]
+export async function snapshot_page(page, {max_nodes=1000}={}){
+    const {lines, truncated} = await page.evaluate(collect,
+        {attribute: REF_ATTRIBUTE, max_nodes});
+    const header = [`Page: ${await page.title()}`, `URL: ${page.url()}`, ''];
+    const footer = truncated ? ['', `[snapshot truncated after ${max_nodes} `
+        +'elements]'] : [];
+    return [...header, ...lines.length ? lines
+        : ['(no interactive elements found)'], ...footer].join('\n');
+}
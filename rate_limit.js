@@ -0,0 +1,128 @@
+'use strict'; /*jslint node:true es9:true*/
+import {UserError} from 'fastmcp';
+import {glob_regex} from './util.js';
+
+const SWEEP_INTERVAL = 60*1000;
+
+export function parse_rate_limit(rate_limit_str){
+    if (!rate_limit_str)
+        return null;
+
+    const match = rate_limit_str.trim().match(/^(\d+)\/(\d+)([mhs])$/);
+    if (!match)
+        throw new Error('Invalid RATE_LIMIT format. Use: 100/1h or 50/30m');
+
+    const [, limit, time, unit] = match;
+    const multiplier = unit==='h' ? 3600 : unit==='m' ? 60 : 1;
+
+    return {
+        limit: parseInt(limit),
+        window: parseInt(time) * multiplier * 1000,
+        display: rate_limit_str.trim(),
+    };
+}
+
+// RATE_LIMIT_TOOLS='web_data_*=20/1m,scraping_browser_*=100/1h'
+export function parse_tool_limits(tool_limits_str){
+    if (!tool_limits_str)
+        return [];
+    return tool_limits_str.split(/[,;]/).map(s=>s.trim()).filter(Boolean)
+    .map(entry=>{
+        const [pattern, rate] = entry.split('=').map(s=>s?.trim());
+        if (!pattern || !rate)
+        {
+            throw new Error(`Invalid RATE_LIMIT_TOOLS entry "${entry}". `
+                +'Use: web_data_*=20/1m');
+        }
+        return {pattern, regex: glob_regex(pattern),
+            ...parse_rate_limit(rate)};
+    });
+}
+
+export class Rate_limiter {
+    constructor({tenant_limit=null, tool_limits=[]}={}){
+        this.tenant_limit = tenant_limit;
+        this.tool_limits = tool_limits;
+        this._windows = new Map();
+        this._last_sweep = Date.now();
+    }
+
+    get enabled(){ return !!this.tenant_limit || this.tool_limits.length>0; }
+
+    _rules_for(tool){
+        const rules = [];
+        if (this.tenant_limit)
+            rules.push({scope: '*', ...this.tenant_limit});
+        for (const rule of this.tool_limits)
+        {
+            if (rule.regex.test(tool))
+                rules.push({scope: rule.pattern, ...rule});
+        }
+        return rules;
+    }
+
+    _sweep(now){
+        if (now-this._last_sweep<SWEEP_INTERVAL)
+            return;
+        this._last_sweep = now;
+        for (const [key, entry] of this._windows)
+        {
+            entry.timestamps = entry.timestamps.filter(ts=>ts>now-entry.window);
+            if (!entry.timestamps.length)
+                this._windows.delete(key);
+        }
+    }
+
+    // Sliding window per tenant (and per tool pattern). A call costs one
+    // request per upstream request it makes (cost). A rejected call does not
+    // consume budget in any of the windows it was checked against.
+    check(tenant, tool, cost=1){
+        if (!this.enabled)
+            return true;
+        const now = Date.now();
+        this._sweep(now);
+        const entries = [];
+        for (const rule of this._rules_for(tool))
+        {
+            const key = `${tenant}\n${rule.scope}`;
+            let entry = this._windows.get(key);
+            if (!entry)
+            {
+                entry = {timestamps: [], window: rule.window};
+                this._windows.set(key, entry);
+            }
+            entry.timestamps = entry.timestamps
+                .filter(ts=>ts>now-rule.window);
+            const scope = rule.scope=='*' ? 'all tools' : rule.scope;
+            if (cost>rule.limit)
+            {
+                throw new UserError(`A call making ${cost} requests exceeds `
+                    +`the rate limit for ${scope} (${rule.display}), split `
+                    +'it into smaller calls', {
+                    error: 'rate_limited',
+                    scope: rule.scope,
+                    limit: rule.display,
+                });
+            }
+            if (entry.timestamps.length+cost>rule.limit)
+            {
+                // when enough requests have left the window
+                const freed = entry.timestamps[entry.timestamps.length+cost
+                    -rule.limit-1];
+                const retry_after = Math.max(1,
+                    Math.ceil((freed+rule.window-now)/1000));
+                throw new UserError(`Rate limit exceeded for ${scope} `
+                    +`(${rule.display}), retry after ${retry_after} seconds`, {
+                    error: 'rate_limited',
+                    scope: rule.scope,
+                    limit: rule.display,
+                    retry_after,
+                });
+            }
+            entries.push(entry);
+        }
+        for (const entry of entries)
+            entry.timestamps.push(...Array(cost).fill(now));
+        return true;
+    }
+}
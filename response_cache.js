@@ -0,0 +1,163 @@
+'use strict'; /*jslint node:true es9:true*/
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const cache_key = parts=>crypto.createHash('sha256')
+    .update(JSON.stringify(parts)).digest('hex');
+
+class Memory_backend {
+    constructor(){ this._entries = new Map(); }
+
+    async load(){ return []; }
+
+    async read(key){
+        const entry = this._entries.get(key);
+        if (!entry)
+            return null;
+        // re-insert so Map order doubles as LRU order
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        return entry;
+    }
+
+    async write(key, entry){ this._entries.set(key, entry); }
+
+    async remove(key){ this._entries.delete(key); }
+}
+
+class Disk_backend {
+    constructor({dir}){ this.dir = dir; }
+
+    _file(key){ return path.join(this.dir, `${key}.json`); }
+
+    // cached pages are private to the server user: the default directory
+    // is under the shared tmpdir
+    async load(){
+        await fs.mkdir(this.dir, {recursive: true, mode: 0o700});
+        await fs.chmod(this.dir, 0o700);
+        const entries = [];
+        for (const name of await fs.readdir(this.dir))
+        {
+            if (!name.endsWith('.json'))
+                continue;
+            try {
+                const stat = await fs.stat(path.join(this.dir, name));
+                entries.push({key: name.slice(0, -5), size: stat.size,
+                    stored_at: stat.mtimeMs});
+            } catch(e){ /* removed concurrently */ }
+        }
+        return entries.sort((a, b)=>a.stored_at-b.stored_at);
+    }
+
+    async read(key){
+        try { return JSON.parse(await fs.readFile(this._file(key), 'utf8')); }
+        catch(e){ return null; }
+    }
+
+    async write(key, entry){
+        const tmp = `${this._file(key)}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(entry), {mode: 0o600});
+        await fs.rename(tmp, this._file(key));
+    }
+
+    async remove(key){
+        try { await fs.unlink(this._file(key)); }
+        catch(e){ /* already gone */ }
+    }
+}
+
+// Opt-in cache for unlocker responses, keyed by tenant, URL, zone and
+// data_format. Entries are evicted least recently used first once the total
+// size goes above max_size bytes.
+export class Response_cache {
+    constructor({backend='memory', dir, max_size=100*1024*1024,
+        max_age=3600*1000}={})
+    {
+        if (!['memory', 'disk'].includes(backend))
+        {
+            throw new Error(`Invalid RESPONSE_CACHE backend "${backend}". `
+                +'Use: memory or disk');
+        }
+        this.max_size = max_size;
+        this.max_age = max_age;
+        this._backend = backend=='disk'
+            ? new Disk_backend({dir: dir
+                || path.join(os.tmpdir(), 'brightdata-mcp-cache')})
+            : new Memory_backend();
+        this._index = new Map();
+        this._size = 0;
+        this._loaded = null;
+    }
+
+    _load(){
+        this._loaded = this._loaded || this._backend.load().then(entries=>{
+            for (const {key, size, stored_at} of entries)
+                this._track(key, size, stored_at);
+        });
+        return this._loaded;
+    }
+
+    _track(key, size, stored_at){
+        this._untrack(key);
+        this._index.set(key, {size, stored_at});
+        this._size += size;
+    }
+
+    _untrack(key){
+        const meta = this._index.get(key);
+        if (!meta)
+            return;
+        this._size -= meta.size;
+        this._index.delete(key);
+    }
+
+    async _evict(){
+        for (const key of this._index.keys())
+        {
+            if (this._size<=this.max_size)
+                break;
+            this._untrack(key);
+            await this._backend.remove(key);
+        }
+    }
+
+    // max_age (ms) narrows the configured one for a single lookup.
+    async get({tenant, url, zone, data_format}, max_age=this.max_age){
+        await this._load();
+        const key = cache_key([tenant, url, zone, data_format||null]);
+        const meta = this._index.get(key);
+        if (!meta)
+            return null;
+        const age = Date.now()-meta.stored_at;
+        if (age>this.max_age)
+        {
+            this._untrack(key);
+            await this._backend.remove(key);
+            return null;
+        }
+        if (age>Math.min(max_age, this.max_age))
+            return null;
+        const entry = await this._backend.read(key);
+        if (!entry)
+        {
+            this._untrack(key);
+            return null;
+        }
+        this._track(key, meta.size, meta.stored_at);
+        return {data: entry.data, age};
+    }
+
+    async set({tenant, url, zone, data_format}, data){
+        await this._load();
+        const key = cache_key([tenant, url, zone, data_format||null]);
+        const size = Buffer.byteLength(data);
+        if (size>this.max_size)
+            return;
+        const stored_at = Date.now();
+        await this._backend.write(key, {stored_at, data});
+        this._track(key, size, stored_at);
+        await this._evict();
+    }
+}
@@ -0,0 +1,291 @@
+'use strict'; /*jslint node:true es9:true*/
+import {UserError} from 'fastmcp';
+import {z} from 'zod';
+
+// Yandex takes a numeric region id (lr) instead of a country code
+const yandex_regions = {
+    ru: 225, ua: 187, by: 149, kz: 159, tr: 983, us: 84, gb: 102, de: 96,
+    fr: 124, it: 205, es: 204, pl: 120, cn: 134, jp: 137,
+};
+
+export const localization_parameters = {
+    country: z.string().regex(/^[a-zA-Z]{2}$/).optional()
+        .describe('Two-letter country code to search from (e.g. "de")'),
+    language: z.string().regex(/^[a-zA-Z]{2,3}(-[a-zA-Z]{2,4})?$/).optional()
+        .describe('Interface and results language (e.g. "de" or "pt-BR")'),
+    device: z.enum(['desktop', 'mobile']).optional()
+        .describe('Return results as seen on this device (default: desktop)'),
+    safe_search: z.enum(['off', 'moderate', 'strict']).optional()
+        .describe('Safe search filtering level (default: engine default)'),
+};
+
+const google_verticals = {news: 'nws', images: 'isch', shopping: 'shop',
+    videos: 'vid'};
+
+// Per engine: URL builder per vertical ({q, page, start} => URL), the
+// verticals that can't be paginated through the URL, the localization
+// parameters it understands and whether Bright Data parses its results into
+// JSON (brd_json=1).
+const engines = {
+    google: {
+        json: true,
+        verticals: Object.fromEntries(['web', 'news', 'images', 'shopping',
+            'videos'].map(vertical=>[vertical, ({q, start})=>
+            `https://www.google.com/search?q=${q}&start=${start}`
+            +(google_verticals[vertical]
+            ? `&tbm=${google_verticals[vertical]}` : '')])),
+        localization: ({country, language, safe_search})=>[
+            country && ['gl', country],
+            language && ['hl', language],
+            safe_search && ['safe', safe_search=='off' ? 'off' : 'active'],
+        ],
+    },
+    bing: {
+        json: true,
+        verticals: {
+            web: ({q, start})=>
+                `https://www.bing.com/search?q=${q}&first=${start + 1}`,
+            news: ({q, start})=>
+                `https://www.bing.com/news/search?q=${q}&first=${start + 1}`,
+            images: ({q, start})=>
+                `https://www.bing.com/images/search?q=${q}&first=${start + 1}`,
+            shopping: ({q, start})=>
+                `https://www.bing.com/shop?q=${q}&first=${start + 1}`,
+            videos: ({q, start})=>
+                `https://www.bing.com/videos/search?q=${q}&first=${start + 1}`,
+        },
+        localization: ({country, language, safe_search})=>[
+            country && ['cc', country.toUpperCase()],
+            language && ['setlang', language],
+            country && language && ['mkt', `${language.split('-')[0]
+                .toLowerCase()}-${country.toUpperCase()}`],
+            safe_search && ['adlt', safe_search],
+        ],
+    },
+    yandex: {
+        json: true,
+        verticals: {
+            web: ({q, page})=>`https://yandex.com/search/?text=${q}&p=${page}`,
+            images: ({q, page})=>
+                `https://yandex.com/images/search?text=${q}&p=${page}`,
+            videos: ({q, page})=>
+                `https://yandex.com/video/search?text=${q}&p=${page}`,
+        },
+        localization: ({country, language, safe_search})=>{
+            if (country && !yandex_regions[country])
+            {
+                throw new UserError(`Country "${country}" is not supported `
+                    +'for yandex. Supported: '
+                    +Object.keys(yandex_regions).join(', '));
+            }
+            return [
+                country && ['lr', yandex_regions[country]],
+                language && ['lang', language.split('-')[0].toLowerCase()],
+                safe_search=='strict' && ['family', 'yes'],
+            ];
+        },
+    },
+    duckduckgo: {
+        verticals: {
+            web: ({q, start})=>
+                `https://html.duckduckgo.com/html/?q=${q}&s=${start}`,
+            news: ({q})=>`https://duckduckgo.com/?q=${q}&iar=news&ia=news`,
+            images: ({q})=>
+                `https://duckduckgo.com/?q=${q}&iax=images&ia=images`,
+            videos: ({q})=>
+                `https://duckduckgo.com/?q=${q}&iax=videos&ia=videos`,
+        },
+        // loaded by scrolling
+        unpaginated: ['news', 'images', 'videos'],
+        localization: ({country, language, safe_search})=>[
+            (country || language) && ['kl', `${country||'wt'}-`
+                +`${language ? language.split('-')[0].toLowerCase() : 'wt'}`],
+            safe_search && ['kp',
+                {off: '-2', moderate: '-1', strict: '1'}[safe_search]],
+        ],
+    },
+    baidu: {
+        verticals: {
+            web: ({q, start})=>`https://www.baidu.com/s?wd=${q}&pn=${start}`,
+            news: ({q, start})=>
+                `https://www.baidu.com/s?wd=${q}&pn=${start}&tn=news`,
+            images: ({q, start})=>`https://image.baidu.com/search/index`
+                +`?tn=baiduimage&word=${q}&pn=${start}`,
+            videos: ({q, start})=>
+                `https://www.baidu.com/sf/vsearch?pd=video&wd=${q}&pn=${start}`,
+        },
+        localization: null,
+    },
+    naver: {
+        verticals: {
+            web: ({q, start})=>`https://search.naver.com/search.naver`
+                +`?where=web&query=${q}&start=${start + 1}`,
+            news: ({q, start})=>`https://search.naver.com/search.naver`
+                +`?where=news&query=${q}&start=${start + 1}`,
+            images: ({q})=>`https://search.naver.com/search.naver`
+                +`?where=image&query=${q}`,
+            shopping: ({q, page})=>`https://search.shopping.naver.com`
+                +`/search/all?query=${q}&pagingIndex=${page + 1}`,
+            videos: ({q})=>`https://search.naver.com/search.naver`
+                +`?where=video&query=${q}`,
+        },
+        unpaginated: ['images', 'videos'],
+        localization: null,
+    },
+};
+
+export const search_engines = Object.keys(engines);
+
+export const search_verticals = ['web', 'news', 'images', 'shopping',
+    'videos'];
+
+const is_paginated = (engine, vertical)=>
+    !engines[engine]?.unpaginated?.includes(vertical);
+
+export const json_search_engines = search_engines
+    .filter(engine=>engines[engine].json);
+
+// default_country (from the session) only applies where the engine can use it
+function localization_params(engine, {country, language, device,
+    safe_search, default_country}={})
+{
+    let {localization} = engines[engine];
+    if (!country && localization && default_country
+        && (engine!='yandex' || yandex_regions[default_country]))
+    {
+        country = default_country;
+    }
+    country = country?.toLowerCase();
+    if (!localization && (country || language || safe_search))
+    {
+        throw new UserError(`${engine} does not support the country, `
+            +'language or safe_search options');
+    }
+    let params = localization
+        ? localization({country, language, safe_search}).filter(Boolean)
+        : [];
+    if (device=='mobile')
+        params.push(['brd_mobile', '1']);
+    return params.map(([k, v])=>`&${k}=${encodeURIComponent(v)}`).join('');
+}
+
+export function search_url(engine, query, cursor, localization,
+    vertical='web')
+{
+    let {verticals} = engines[engine] || engines.google;
+    engine = engines[engine] ? engine : 'google';
+    if (!verticals[vertical])
+    {
+        throw new UserError(`${engine} does not offer the ${vertical} `
+            +`vertical. Available: ${Object.keys(verticals).join(', ')}`);
+    }
+    let q = encodeURIComponent(query);
+    let page = cursor ? parseInt(cursor) : 0;
+    if (page && !is_paginated(engine, vertical))
+    {
+        throw new UserError(`${engine} ${vertical} results have a single `
+            +'page, call without a cursor');
+    }
+    let start = page * 10;
+    return verticals[vertical]({q, page, start})
+        +localization_params(engine, localization);
+}
+
+// search_url asking for the results as JSON, for engines that support it
+export function json_search_url(engine, ...args){
+    if (!engines[engine]?.json)
+    {
+        throw new UserError(`JSON output is not available for ${engine}. `
+            +`Available for: ${json_search_engines.join(', ')}`);
+    }
+    return `${search_url(engine, ...args)}&brd_json=1`;
+}
+
+const text = v=>typeof v=='string' ? v.trim() : v==null ? null : String(v);
+
+const list = v=>Array.isArray(v) ? v : [];
+
+function normalize_ads(data){
+    let ads = [];
+    for (let [key, position] of [['top_ads', 'top'], ['ads', 'top'],
+        ['bottom_ads', 'bottom']])
+    {
+        for (let ad of list(data[key]))
+        {
+            ads.push({
+                position,
+                title: text(ad.title),
+                url: text(ad.link || ad.url),
+                description: text(ad.description),
+            });
+        }
+    }
+    return ads;
+}
+
+function normalize_knowledge(knowledge){
+    if (!knowledge || typeof knowledge!='object')
+        return null;
+    return {
+        title: text(knowledge.name || knowledge.title),
+        subtitle: text(knowledge.subtitle),
+        description: text(knowledge.description),
+        url: text(knowledge.description_link || knowledge.link),
+        facts: list(knowledge.facts).map(fact=>({
+            key: text(fact.key),
+            value: text(list(fact.value).map(v=>v.text).join(', ')
+                || fact.value),
+        })),
+    };
+}
+
+// Maps a brd_json=1 SERP response onto one schema for every engine. Fields
+// that the engine doesn't return are left empty.
+export function normalize_serp(data, {engine, query, vertical='web',
+    cursor})
+{
+    let page = cursor ? parseInt(cursor) : 0;
+    let organic = list(data.organic).filter(r=>r.link || r.url)
+    .map((r, i)=>({
+        rank: r.rank || r.global_rank || i+1,
+        title: text(r.title),
+        url: text(r.link || r.url),
+        display_url: text(r.display_link),
+        description: text(r.description),
+    }));
+    // null when the engine didn't report pagination
+    let pagination = data.pagination;
+    let has_next = !is_paginated(engine, vertical) ? false
+        : pagination ? !!(pagination.next_page_link
+        || pagination.next_page_start
+        || list(pagination.pages).some(p=>p.page>page+1)) : null;
+    return {
+        engine,
+        vertical,
+        query,
+        organic,
+        knowledge_panel: normalize_knowledge(data.knowledge),
+        people_also_ask: list(data.people_also_ask).map(item=>({
+            question: text(item.question),
+            answer: text(item.answer_text || list(item.answers)
+                .map(a=>a.value?.text || a.text).filter(Boolean).join('\n')
+                || null),
+            url: text(item.answer_link || item.answer_source),
+        })),
+        related_searches: list(data.related).map(item=>({
+            query: text(item.text || item.title),
+            url: text(item.link),
+        })),
+        ads: normalize_ads(data),
+        local_pack: list(data.snack_pack || data.local_results).map(item=>({
+            name: text(item.name || item.title),
+            address: text(item.address),
+            rating: item.rating ?? null,
+            reviews: item.reviews_cnt ?? item.reviews ?? null,
+            phone: text(item.phone),
+            url: text(item.site || item.link),
+        })),
+        has_next,
+        next_cursor: has_next ? String(page+1) : null,
+    };
+}
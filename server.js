@@ -1,31 +1,88 @@
 #!/usr/bin/env node
 'use strict'; /*jslint node:true es9:true*/
-import {FastMCP} from 'fastmcp';
+import {FastMCP, UserError} from 'fastmcp';
 import {z} from 'zod';
 import axios from 'axios';
-import {tools as browser_tools} from './browser_tools.js';
+import {tools as browser_tools, active_browsers, close_all_sessions} from
+    './browser_tools.js';
+import {Rate_limiter, parse_rate_limit, parse_tool_limits} from
+    './rate_limit.js';
+import {Zone_cache, is_zone_not_found, is_usable} from './zone_cache.js';
+import {Response_cache} from './response_cache.js';
+import {collect_inputs, map_snapshot_results, Snapshot_store,
+    paginate_records, poll_snapshot, Dataset_error, is_snapshot_pending,
+    check_snapshot_failed, shape_records, shape_batch_results,
+    shaping_parameters, project_record, format_records} from './datasets.js';
+import {load_datasets, input_schema} from './dataset_registry.js';
+import {Tool_filter, load_tool_config, token_hash} from './tool_filter.js';
+import {Access_key_store, ACCESS_KEY_PREFIX} from './access_keys.js';
+import {search_url, json_search_url, search_engines, search_verticals,
+    json_search_engines, localization_parameters, normalize_serp} from
+    './search.js';
+import {Registry, CONTENT_TYPE as METRICS_CONTENT_TYPE, api_endpoint} from
+    './metrics.js';
+import {call_context, env_int} from './util.js';
+import {logger, redact, console_adapter} from './logger.js';
+import {Usage_store, parse_time, to_csv, usage_fields} from './usage.js';
 import {createRequire} from 'node:module';
+import crypto from 'node:crypto';
 
-function extractTokenFromUrl(request) {
-    const url = request.url || '';
-    const tokenMatch = url.match(/token=([a-zA-Z0-9_-]+)/);
-    return tokenMatch ? tokenMatch[1] : null;
-}
+const zone_name = z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/,
+    'must be a zone name (letters, digits, _ and -)');
+
+// Query parameters accepted on the MCP endpoint URL; others are ignored
+const url_params_schema = z.object({
+    token: z.string().regex(/^[a-zA-Z0-9_-]+$/,
+        'must only contain letters, digits, _ and -').optional(),
+    unlocker: zone_name.optional(),
+    browser: zone_name.optional(),
+    tools: z.string().regex(/^[a-zA-Z0-9_:*-]+(,[a-zA-Z0-9_:*-]+)*$/,
+        'must be a comma separated list of tool names or groups').optional(),
+    country: z.string().regex(/^[a-zA-Z]{2}$/,
+        'must be a two-letter country code').optional(),
+});
 
 function extractUrlParams(request) {
-    const url = request.url || '';
+    let query;
+    try {
+        query = new URL(request.url || '', 'http://localhost').searchParams;
+    } catch(e) {
+        query = new URLSearchParams();
+    }
     const params = {};
-    
-    const tokenMatch = url.match(/token=([a-zA-Z0-9_-]+)/);
-    if (tokenMatch) params.token = tokenMatch[1];
-    
-    const unlockerMatch = url.match(/unlocker=([a-zA-Z0-9_-]+)/);
-    if (unlockerMatch) params.unlocker = unlockerMatch[1];
-    
-    const browserMatch = url.match(/browser=([a-zA-Z0-9_-]+)/);
-    if (browserMatch) params.browser = browserMatch[1];
-    
-    return params;
+    const issues = [];
+    for (const name of Object.keys(url_params_schema.shape)) {
+        const values = query.getAll(name);
+        if (values.length > 1)
+            issues.push(`${name}: must be given only once`);
+        else if (values.length)
+            params[name] = values[0];
+    }
+    const parsed = url_params_schema.safeParse(params);
+    if (!parsed.success) {
+        for (const issue of parsed.error.issues)
+            issues.push(`${issue.path.join('.')}: ${issue.message}`);
+    }
+    if (issues.length) {
+        throw new Response(JSON.stringify({
+            error: 'invalid_url_parameters',
+            message: `Invalid URL parameters: ${issues.join('; ')}`,
+            issues,
+        }), {
+            status: 400,
+            statusText: 'Bad Request - Invalid URL parameters',
+            headers: {'content-type': 'application/json'},
+        });
+    }
+    return parsed.data;
+}
+
+// Correlation id for logs and upstream requests: the caller's X-Request-Id
+// when it looks sane, a new one otherwise
+function request_id(request) {
+    const header = request.headers['x-request-id'];
+    return typeof header=='string' && /^[\w.:-]{1,128}$/.test(header)
+        ? header : crypto.randomUUID();
 }
 const require = createRequire(import.meta.url);
 const package_json = require('./package.json');
@@ -33,64 +90,237 @@ const PORT = process.env.PORT || 8080;
 // const api_token = process.env.API_TOKEN;
 const unlocker_zone = process.env.WEB_UNLOCKER_ZONE || 'mcp_unlocker';
 
-function parse_rate_limit(rate_limit_str) {
-    if (!rate_limit_str) 
-        return null;
-    
-    const match = rate_limit_str.match(/^(\d+)\/(\d+)([mhs])$/);
-    if (!match) 
-        throw new Error('Invalid RATE_LIMIT format. Use: 100/1h or 50/30m');
-    
-    const [, limit, time, unit] = match;
-    const multiplier = unit==='h' ? 3600 : unit==='m' ? 60 : 1;
-    
-    return {
-        limit: parseInt(limit),
-        window: parseInt(time) * multiplier * 1000, 
-        display: rate_limit_str
-    };
-}
-
-const rate_limit_config = parse_rate_limit(process.env.RATE_LIMIT);
+const rate_limiter = new Rate_limiter({
+    tenant_limit: parse_rate_limit(process.env.RATE_LIMIT),
+    tool_limits: parse_tool_limits(process.env.RATE_LIMIT_TOOLS),
+});
+// RESPONSE_CACHE=memory|disk enables caching of scrape/fetch responses
+const response_cache = process.env.RESPONSE_CACHE ? new Response_cache({
+    backend: process.env.RESPONSE_CACHE,
+    dir: process.env.RESPONSE_CACHE_DIR,
+    max_size: env_int('RESPONSE_CACHE_MAX_SIZE', 100, {min: 1})*1024*1024,
+    max_age: env_int('RESPONSE_CACHE_TTL', 3600, {min: 1})*1000,
+}) : null;
+const batch_max_concurrency = env_int('SCRAPE_BATCH_CONCURRENCY', 5,
+    {min: 1});
+const batch_max_urls = env_int('SCRAPE_BATCH_MAX_URLS', 50, {min: 1});
+const dataset_max_inputs = env_int('DATASET_MAX_INPUTS', 50, {min: 1});
+const snapshot_store = new Snapshot_store();
+// caps web_data_* output size, dropping trailing records (0 = no cap)
+const dataset_max_chars = env_int('DATASET_MAX_OUTPUT_CHARS', 0);
+const dataset_poll_timeout = env_int('DATASET_POLL_TIMEOUT', 600,
+    {min: 1})*1000;
+// TOOLS/TOOLS_DENY: comma separated tool names, globs or groups; TOOLS_CONFIG:
+// JSON file with the same lists plus per-token ones
+const tool_config = load_tool_config(process.env.TOOLS_CONFIG);
+const deployment_tool_filters = [
+    new Tool_filter(tool_config.deployment),
+    new Tool_filter({allow: process.env.TOOLS, deny: process.env.TOOLS_DENY}),
+].filter(filter=>!filter.empty);
+// server-issued access keys (see access_keys_cli.js), enabled by setting
+// ACCESS_KEY_SECRET
+const access_key_store = process.env.ACCESS_KEY_SECRET ? new Access_key_store({
+    file: process.env.ACCESS_KEY_STORE || 'access_keys.enc',
+    secret: process.env.ACCESS_KEY_SECRET,
+}) : null;
+const allow_query_token = process.env.ALLOW_QUERY_TOKEN!=='false';
+const access_keys_only = process.env.ACCESS_KEYS_ONLY==='true';
+const zone_auto_create = process.env.ZONE_AUTO_CREATE!=='false';
+// per-tenant usage for chargeback, see session_stats and /admin/usage.csv
+const usage_store = new Usage_store({
+    file: process.env.USAGE_FILE || 'usage.json',
+    retention: env_int('USAGE_RETENTION_DAYS', 400, {min: 1})*24*3600*1000,
+});
+const admin_token = process.env.ADMIN_TOKEN;
+// how long SIGTERM waits for browser sessions to close before exiting
+const shutdown_timeout = env_int('SHUTDOWN_TIMEOUT', 10)*1000;
+const zone_cache = new Zone_cache({
+    ttl: env_int('ZONE_CACHE_TTL', 300)*1000,
+    failure_ttl: env_int('ZONE_FAILURE_CACHE_TTL', 60)*1000,
+});
 
 // if (!api_token)
 //     throw new Error('Cannot run MCP server without API_TOKEN env');
 
+// Prometheus metrics on /metrics. Tenants are labelled by tenantId: a hash of
+// the API token, or the id of a server-issued access key.
+const metrics = new Registry();
+const metrics_token = process.env.METRICS_TOKEN;
+const tool_calls_metric = metrics.counter('mcp_tool_calls_total',
+    'Tool calls', ['tool', 'tenant']);
+const tool_errors_metric = metrics.counter('mcp_tool_errors_total',
+    'Failed tool calls by upstream HTTP status, or rate_limited, user_error '
+    +'and error when there is none', ['tool', 'tenant', 'status']);
+const tool_duration_metric = metrics.histogram('mcp_tool_duration_seconds',
+    'Tool call latency', ['tool', 'tenant']);
+const auth_rejections_metric = metrics.counter('mcp_auth_rejections_total',
+    'MCP requests rejected during authentication by HTTP status',
+    ['status']);
+const upstream_requests_metric = metrics.counter(
+    'mcp_upstream_requests_total', 'Requests to the Bright Data API',
+    ['endpoint', 'status', 'tool', 'tenant']);
+const dataset_poll_metric = metrics.histogram(
+    'mcp_dataset_poll_duration_seconds', 'Time spent waiting for dataset '
+    +'snapshots', ['tool', 'tenant', 'outcome'],
+    [1, 5, 10, 30, 60, 120, 300, 600, 1200]);
+metrics.gauge('mcp_browser_sessions_active',
+    'Open Scraping Browser connections', [], active_browsers);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size',
+    [], ()=>process.memoryUsage().rss);
+metrics.gauge('process_start_time_seconds', 'Process start time since the '
+    +'epoch', [], ()=>Math.round(Date.now()/1000-process.uptime()));
+
+const is_upstream = config=>!!config?.url
+    ?.startsWith('https://api.brightdata.com/');
+// Tags Bright Data API requests with the correlation id of the tool call,
+// then logs and counts them
+axios.interceptors.request.use(config=>{
+    if (!is_upstream(config))
+        return config;
+    const request_id = call_context.getStore()?.request_id;
+    if (request_id)
+        config.headers.set('x-request-id', request_id);
+    config.started_at = Date.now();
+    return config;
+});
+const track_upstream = (config, status)=>{
+    const endpoint = api_endpoint(config.url);
+    upstream_requests_metric.inc({endpoint, status,
+        ...call_context.getStore()});
+    usage_store.record(call_context.getStore()?.tenant,
+        {upstream_requests: 1});
+    logger.log(typeof status=='number' && status<400 ? 'debug' : 'warn',
+        'Upstream request', {method: config.method, endpoint, status,
+        duration_ms: Date.now()-config.started_at});
+};
+axios.interceptors.response.use(response=>{
+    if (is_upstream(response.config))
+        track_upstream(response.config, response.status);
+    return response;
+}, e=>{
+    if (is_upstream(e.config))
+        track_upstream(e.config, e.response?.status || e.code || 'error');
+    return Promise.reject(e);
+});
+
+// Counts the Responses thrown by authenticate to reject a request
+const count_auth_rejections = authenticate=>async request=>{
+    try { return await authenticate(request); }
+    catch(e){
+        if (e instanceof Response)
+            auth_rejections_metric.inc({status: e.status});
+        throw e;
+    }
+};
+
 const api_headers = (apiToken)=>({
     'user-agent': `${package_json.name}/${package_json.version}`,
     authorization: `Bearer ${apiToken}`,
 });
 
-function check_rate_limit(){
-    if (!rate_limit_config) 
-        return true;
-    
-    const now = Date.now();
-    const window_start = now - rate_limit_config.window;
-    
-    debug_stats.call_timestamps = debug_stats.call_timestamps.filter(timestamp=>timestamp>window_start);
-    
-    if (debug_stats.call_timestamps.length>=rate_limit_config.limit)
-        throw new Error(`Rate limit exceeded: ${rate_limit_config.display}`);
-    
-    debug_stats.call_timestamps.push(now);
-    return true;
+function require_unlocker_zone(ctx){
+    if (!ctx.unlockerZone)
+    {
+        throw new UserError('None of the zones of this access key is an '
+            +'active Web Unlocker zone');
+    }
+    return ctx.unlockerZone;
+}
+
+// Unlocker request through the response cache (when enabled). max_age is in
+// seconds, 0 skips the cached copy but still refreshes it.
+async function unlocker_request(ctx, {url, data_format, max_age}){
+    let zone = require_unlocker_zone(ctx);
+    let key = {tenant: ctx.session.tenantId, url, zone, data_format};
+    if (response_cache && max_age!==0)
+    {
+        let hit = await response_cache.get(key, max_age===undefined
+            ? undefined : max_age*1000);
+        if (hit)
+            return {data: hit.data, cached: true, age: hit.age};
+    }
+    let response = await axios({
+        url: 'https://api.brightdata.com/request',
+        method: 'POST',
+        data: {
+            url,
+            zone,
+            format: 'raw',
+            ...data_format ? {data_format} : {},
+        },
+        headers: api_headers(ctx.apiToken),
+        responseType: 'text',
+    });
+    if (response_cache)
+    {
+        try { await response_cache.set(key, response.data); }
+        catch(e){ logger.warn('Error writing response cache', {err: e}); }
+    }
+    return {data: response.data, cached: false};
 }
 
-async function ensure_required_zones(apiToken,unlockerZone){
+const cache_parameters = response_cache ? {
+    max_age: z.number().int().min(0).optional()
+        .describe('Maximum age in seconds of a cached response to accept. '
+            +'Use 0 to always fetch a fresh copy'),
+} : {};
+
+const cache_status = ({cached, age})=>cached
+    ? `Cache: hit (served from cache, ${Math.round(age/1000)}s old)`
+    : 'Cache: miss';
+
+function scrape_result(result){
+    if (!response_cache)
+        return result.data;
+    return {content: [
+        {type: 'text', text: result.data},
+        {type: 'text', text: cache_status(result)},
+    ]};
+}
+
+// The {name, type} zones of the account
+async function list_active_zones(apiToken){
+    let response = await axios({
+        url: 'https://api.brightdata.com/zone/get_active_zones',
+        method: 'GET',
+        headers: api_headers(apiToken),
+    });
+    return response.data || [];
+}
+
+// Checks each {name, type} zone in one get_active_zones call and creates the
+// missing ones unless ZONE_AUTO_CREATE=false. Returns a status per zone name:
+// 'exists', 'created', 'missing' (auto-creation disabled) or 'failed'.
+async function ensure_required_zones(apiToken, required_zones){
+    let statuses = {};
+    let zones;
     try {
-        console.error('Checking for required zones...');
-        let response = await axios({
-            url: 'https://api.brightdata.com/zone/get_active_zones',
-            method: 'GET',
-            headers: api_headers(apiToken),
-        });
-        let zones = response.data || [];
-        let has_unlocker_zone = zones.some(zone=>zone.name==unlockerZone);
-        if (!has_unlocker_zone)
+        logger.debug('Checking for required zones', {zones: required_zones});
+        zones = await list_active_zones(apiToken);
+    } catch(e){
+        logger.error('Error checking zones', {err: e,
+            response: e.response?.data});
+        for (let {name} of required_zones)
+            statuses[name] = 'failed';
+        return statuses;
+    }
+    for (let {name, type} of required_zones)
+    {
+        if (zones.some(zone=>zone.name==name))
         {
-            console.error(`Required zone "${unlockerZone}" not found, `
-                +`creating it...`);
+            logger.debug('Required zone already exists', {zone: name});
+            statuses[name] = 'exists';
+            continue;
+        }
+        if (!zone_auto_create)
+        {
+            logger.warn('Required zone not found, auto-creation is disabled',
+                {zone: name});
+            statuses[name] = 'missing';
+            continue;
+        }
+        try {
+            logger.info('Required zone not found, creating it', {zone: name});
             await axios({
                 url: 'https://api.brightdata.com/zone',
                 method: 'POST',
@@ -99,18 +329,51 @@ async function ensure_required_zones(apiToken,unlockerZone){
                     'Content-Type': 'application/json',
                 },
                 data: {
-                    zone: {name: unlockerZone, type: 'unblocker'},
-                    plan: {type: 'unblocker'},
+                    zone: {name, type},
+                    plan: {type},
                 },
             });
-            console.error(`Zone "${unlockerZone}" created successfully`);
+            logger.info('Zone created', {zone: name});
+            statuses[name] = 'created';
+        } catch(e){
+            logger.error('Error creating zone', {zone: name, err: e,
+                response: e.response?.data});
+            statuses[name] = 'failed';
         }
-        else
-            console.error(`Required zone "${unlockerZone}" already exists`);
-    } catch(e){
-        console.error('Error checking/creating zones:',
-            e.response?.data||e.message);
     }
+    return statuses;
+}
+
+// Verifies the session zones through zone_cache, sharing a single
+// ensure_required_zones call between the zones that still need checking.
+// Zones found usable in the cache are reported as 'verified'.
+async function check_zones(apiToken, required_zones){
+    let statuses = {};
+    let pending = required_zones.filter(({name})=>{
+        let cached = zone_cache.get(apiToken, name);
+        if (!cached)
+            return true;
+        statuses[name] = is_usable(cached) ? 'verified' : cached;
+        return false;
+    });
+    let check;
+    await Promise.all(pending.map(async({name})=>{
+        statuses[name] = await zone_cache.check(apiToken, name, async()=>{
+            check = check || ensure_required_zones(apiToken, pending);
+            return (await check)[name] || 'failed';
+        });
+    }));
+    return statuses;
+}
+
+// The first of an access key's zones that is an active zone of the given
+// type, or null
+function pick_zone(apiToken, names, type){
+    return zone_cache.pick(apiToken, type, names, async()=>{
+        let zones = await list_active_zones(apiToken);
+        return names.find(name=>zones.some(zone=>zone.name==name
+            && zone.type==type)) || null;
+    });
 }
 
 // await ensure_required_zones();
@@ -121,13 +384,19 @@ let server = new FastMCP({
     roots: {
         enabled: false 
     },
-    authenticate: async (request) => {
+    logger: console_adapter(logger.child({component: 'fastmcp'})),
+    authenticate: count_auth_rejections(async (request) => {
     const authHeader = request.headers['authorization'];
     let clientApiToken = null;
     const urlParams = extractUrlParams(request);
     
     if (authHeader && authHeader.startsWith('Bearer ')) {
         clientApiToken = authHeader.substring(7);
+    } else if (urlParams.token && !allow_query_token) {
+        throw new Response(null, {
+            status: 401,
+            statusText: 'Unauthorized - Tokens in the URL are disabled, use the Authorization header'
+        });
     } else {
         clientApiToken = urlParams.token;
     }
@@ -146,141 +415,296 @@ let server = new FastMCP({
         });
     }
     
+    let accessKey = null;
+    if (clientApiToken.startsWith(ACCESS_KEY_PREFIX)) {
+        accessKey = access_key_store?.lookup(clientApiToken);
+        if (!accessKey) {
+            throw new Response(null, {
+                status: 401,
+                statusText: 'Unauthorized - Unknown or expired access key'
+            });
+        }
+    } else if (access_keys_only) {
+        throw new Response(null, {
+            status: 401,
+            statusText: 'Unauthorized - Only server-issued access keys are accepted'
+        });
+    }
+    const apiToken = accessKey ? accessKey.api_token : clientApiToken;
+    const tenantId = accessKey ? `key_${accessKey.id}`
+        : token_hash(clientApiToken).slice(0, 16);
+    const requestId = request_id(request);
+    
     // Check zones during authentication
-    const unlockerZone = urlParams.unlocker || process.env.WEB_UNLOCKER_ZONE || 'mcp_unlocker';
-    const browserZone = urlParams.browser || process.env.BROWSER_ZONE || 'mcp_browser';
+    let unlockerZone = urlParams.unlocker || accessKey?.unlocker_zone
+        || process.env.WEB_UNLOCKER_ZONE || 'mcp_unlocker';
+    let browserZone = urlParams.browser || accessKey?.browser_zone
+        || process.env.BROWSER_ZONE || 'mcp_browser';
+    const allowedZones = accessKey?.zones || [];
+    if (allowedZones.length) {
+        for (const zone of [urlParams.unlocker, urlParams.browser]) {
+            if (zone && !allowedZones.includes(zone)) {
+                throw new Response(null, {
+                    status: 403,
+                    statusText: `Forbidden - Zone ${zone} is not allowed for this access key`
+                });
+            }
+        }
+        // picked by type below, so scraping doesn't go to a browser zone
+        if (!allowedZones.includes(unlockerZone))
+            unlockerZone = null;
+        if (!allowedZones.includes(browserZone))
+            browserZone = null;
+    }
     
-    console.error('Authentication successful, checking zones...');
+    const log = logger.child({tenant: tenantId, request_id: requestId});
+    log.debug('Authentication successful, checking zones');
+    let zoneStatus = {};
     try {
-        await ensure_required_zones(clientApiToken, unlockerZone);
-        console.error('Zone check completed');
+        // the default browser zone is only provisioned by the first browser
+        // tool call, so tenants that never browse don't get a billed zone
+        const named_browser_zone = urlParams.browser
+            || accessKey?.browser_zone || process.env.BROWSER_ZONE;
+        zoneStatus = await call_context.run({tenant: tenantId,
+            request_id: requestId}, async()=>{
+            unlockerZone = unlockerZone
+                || await pick_zone(apiToken, allowedZones, 'unblocker');
+            return check_zones(apiToken, [
+                ...unlockerZone ? [{name: unlockerZone, type: 'unblocker'}]
+                    : [],
+                ...browserZone && named_browser_zone
+                    ? [{name: browserZone, type: 'browser_api'}] : [],
+            ]);
+        });
+        log.debug('Zone check completed', {zones: zoneStatus});
     } catch(e) {
-        console.error('Zone check failed:', e.message);
+        log.error('Zone check failed', {err: e});
         // Don't fail authentication if zone check fails
     }
     
+    // per-token lists from TOOLS_CONFIG and the tools= URL parameter can
+    // only narrow the deployment tool list down further
+    const toolFilters = [
+        new Tool_filter(tool_config.tokens[token_hash(clientApiToken)]),
+        new Tool_filter({allow: urlParams.tools}),
+        new Tool_filter(accessKey?.tools),
+    ].filter(filter=>!filter.empty);
+    
     return {
-        apiToken: clientApiToken,
+        apiToken,
+        tenantId,
+        requestId,
         unlockerZone: unlockerZone,
-        browserZone: browserZone
+        browserZone: browserZone,
+        country: urlParams.country?.toLowerCase(),
+        zoneStatus,
+        toolFilters,
+        // closes when the client disconnects, see run_tool
+        socket: request.socket,
     };
-}
+})
+});
+
+// DATASETS_PATH: comma separated JSON/YAML files or directories with more
+// dataset tools; DATASETS_INCLUDE/DATASETS_EXCLUDE: id patterns (amazon_*)
+const datasets = load_datasets({
+    paths: (process.env.DATASETS_PATH||'').split(',').map(p=>p.trim())
+        .filter(Boolean),
+    builtin: process.env.DATASETS_BUILTIN!=='false',
+    include: process.env.DATASETS_INCLUDE,
+    exclude: process.env.DATASETS_EXCLUDE,
 });
+logger.info('Loaded dataset tools', {count: datasets.length});
+
+const dataset_groups = [...new Set(datasets
+    .map(({group})=>`datasets:${group}`))];
+const tool_groups = {
+    search_engine: ['search'],
+    search: ['search'],
+    fetch: ['search', 'scrape'],
+    scrape_as_markdown: ['scrape'],
+    scrape_as_html: ['scrape'],
+    scrape_batch: ['scrape'],
+    session_stats: ['core'],
+    web_data_snapshot_status: ['datasets', ...dataset_groups],
+    web_data_snapshot_result: ['datasets', ...dataset_groups],
+};
+
+// Registers a tool unless the deployment filters it out; per-token filters
+// hide it from the tool list of sessions that may not use it.
+function add_tool(tool, groups=tool_groups[tool.name]||[]){
+    const entry = {name: tool.name, groups};
+    if (!deployment_tool_filters.every(filter=>filter.allows(entry)))
+        return;
+    server.addTool({
+        ...tool,
+        canAccess: auth=>(auth?.toolFilters||[])
+            .every(filter=>filter.allows(entry)),
+    });
+}
 
-let debug_stats = {tool_calls: {}, session_calls: 0, call_timestamps: []};
-server.addTool({
+add_tool({
     name: 'search_engine',
-    description: 'Scrape search results from Google, Bing or Yandex. Returns '
-    +'SERP results in markdown (URL, title, description)',
+    description: 'Scrape search results from Google, Bing, Yandex, DuckDuckGo, '
+    +'Baidu or Naver. Returns SERP results in markdown (URL, title, '
+    +'description), or as normalized JSON with output=json',
     parameters: z.object({
         query: z.string(),
-        engine: z.enum([
-            'google',
-            'bing',
-            'yandex',
-        ]).optional().default('google'),
+        engine: z.enum(search_engines).optional().default('google'),
+        vertical: z.enum(search_verticals).optional().default('web')
+            .describe('Search vertical. Not every engine offers every '
+                +'vertical'),
         cursor: z.string().optional().describe('Pagination cursor for next page'),
+        output: z.enum(['markdown', 'json']).optional().default('markdown')
+            .describe('markdown, or json for a normalized structure with '
+                +'organic results, knowledge panel, people also ask, related '
+                +'searches, ads, local pack and next_cursor (has_next is '
+                +'null when the engine does not report pagination). json is '
+                +`available for ${json_search_engines.join(', ')}`),
+        ...localization_parameters,
     }),
-    execute: tool_fn('search_engine', async({query, engine, cursor}, ctx)=>{
+    execute: tool_fn('search_engine', async({query, engine, vertical, cursor,
+        output, ...localization}, ctx)=>
+    {
+        let url = (output=='json' ? json_search_url : search_url)(engine,
+            query, cursor, {...localization,
+            default_country: ctx.session?.country}, vertical);
         let response = await axios({
             url: 'https://api.brightdata.com/request',
             method: 'POST',
             data: {
-                url: search_url(engine, query, cursor),
-                zone: ctx.unlockerZone, 
+                url,
+                zone: require_unlocker_zone(ctx),
                 format: 'raw',
-                data_format: 'markdown',
+                ...output=='json' ? {} : {data_format: 'markdown'},
             },
             headers: api_headers(ctx.apiToken),  
             responseType: 'text',
         });
-        return response.data;
+        if (output!='json')
+            return response.data;
+        let serp;
+        try { serp = JSON.parse(response.data); }
+        catch(e){
+            throw new Error(`Failed to parse ${engine} results JSON: `
+                +`${e.message}`);
+        }
+        return JSON.stringify(normalize_serp(serp,
+            {engine, query, vertical, cursor}));
     }),
 });
 
-server.addTool({
+add_tool({
     name: 'scrape_as_markdown',
     description: 'Scrape a single webpage URL with advanced options for '
     +'content extraction and get back the results in MarkDown language. '
     +'This tool can unlock any webpage even if it uses bot detection or '
     +'CAPTCHA.',
-    parameters: z.object({url: z.string().url()}),
-    execute: tool_fn('scrape_as_markdown', async({url}, ctx)=>{
-        let response = await axios({
-            url: 'https://api.brightdata.com/request',
-            method: 'POST',
-            data: {
-                url,
-                zone: ctx.unlockerZone,
-                format: 'raw',
-                data_format: 'markdown',
-            },
-            headers: api_headers(ctx.apiToken),
-            responseType: 'text',
-        });
-        return response.data;
+    parameters: z.object({url: z.string().url(), ...cache_parameters}),
+    execute: tool_fn('scrape_as_markdown', async({url, max_age}, ctx)=>{
+        return scrape_result(await unlocker_request(ctx,
+            {url, data_format: 'markdown', max_age}));
     }),
 });
-server.addTool({
+add_tool({
     name: 'scrape_as_html',
     description: 'Scrape a single webpage URL with advanced options for '
     +'content extraction and get back the results in HTML. '
     +'This tool can unlock any webpage even if it uses bot detection or '
     +'CAPTCHA.',
-    parameters: z.object({url: z.string().url()}),
-    execute: tool_fn('scrape_as_html', async({url}, ctx)=>{
-        let response = await axios({
-            url: 'https://api.brightdata.com/request',
-            method: 'POST',
-            data: {
-                url,
-                zone: ctx.unlockerZone,
-                format: 'raw',
-            },
-            headers: api_headers(ctx.apiToken),
-            responseType: 'text',
-        });
-        return response.data;
+    parameters: z.object({url: z.string().url(), ...cache_parameters}),
+    execute: tool_fn('scrape_as_html', async({url, max_age}, ctx)=>{
+        return scrape_result(await unlocker_request(ctx, {url, max_age}));
     }),
 });
-server.addTool({
+add_tool({
+    name: 'scrape_batch',
+    description: 'Scrape a list of webpage URLs in parallel and get back the '
+    +'results in MarkDown or HTML. Returns a JSON list with the content or '
+    +'the error for each URL, so one failing page does not fail the batch. '
+    +'Prefer this over many scrape_as_markdown calls.',
+    parameters: z.object({
+        urls: z.array(z.string().url()).min(1).max(batch_max_urls),
+        format: z.enum(['markdown', 'html']).optional().default('markdown'),
+        concurrency: z.number().int().min(1).max(batch_max_concurrency)
+            .optional().describe('How many URLs to scrape at the same time '
+                +`(default and maximum: ${batch_max_concurrency})`),
+        ...cache_parameters,
+    }),
+    execute: tool_fn('scrape_batch', async({urls, format, concurrency,
+        max_age}, ctx)=>
+    {
+        let results = new Array(urls.length);
+        let next = 0, done = 0;
+        let worker = async()=>{
+            while (next<urls.length)
+            {
+                let i = next++;
+                let url = urls[i];
+                try {
+                    let result = await unlocker_request(ctx, {url, max_age,
+                        data_format: format=='markdown' ? 'markdown'
+                        : undefined});
+                    results[i] = {url, status: 'ok', content: result.data,
+                        ...response_cache ? {cached: result.cached} : {}};
+                } catch(e){
+                    let status = e.response?.status;
+                    logger.warn('Error scraping batch URL', {url,
+                        status, err: status ? undefined : e});
+                    results[i] = {url, status: 'error', error: status
+                        ? `HTTP ${status}: ${e.response.data||''}`.trim()
+                        : e.message};
+                }
+                done++;
+                if (ctx && ctx.reportProgress)
+                {
+                    await ctx.reportProgress({
+                        progress: done,
+                        total: urls.length,
+                        message: `Scraped ${done}/${urls.length} URLs`,
+                    });
+                }
+            }
+        };
+        let workers = Math.min(concurrency||batch_max_concurrency,
+            urls.length);
+        await Promise.all(Array.from({length: workers}, worker));
+        return JSON.stringify(results);
+    }, {cost: ({urls})=>urls.length}),
+});
+add_tool({
     name: 'search',
     description: 'Search for relevant documents and return a list of search results for deep research',
     parameters: z.object({
-        query: z.string().describe('Search query string')
+        query: z.string().describe('Search query string'),
+        ...localization_parameters,
     }),
-    execute: tool_fn('search', async({query}, ctx) => {
-        console.error(`[search] Executing search for: ${query}`);
-        
+    execute: tool_fn('search', async({query, ...localization}, ctx) => {
         let response = await axios({
             url: 'https://api.brightdata.com/request',
             method: 'POST',
             data: {
-                url: `${search_url('google', query, 0)}&brd_json=1`,
-                zone: ctx.unlockerZone,
+                url: json_search_url('google', query, 0, {...localization,
+                    default_country: ctx.session?.country}),
+                zone: require_unlocker_zone(ctx),
                 format: 'raw',
             },
             headers: api_headers(ctx.apiToken),
             responseType: 'text',
         });
 
-        console.error(`[search] Raw response length: ${response.data.length}`);
-        
         let searchData;
         try {
             searchData = JSON.parse(response.data);
-            console.error(`[search] Parsed JSON successfully`);
         } catch (e) {
-            console.error(`[search] JSON parse error: ${e.message}`);
-            console.error(`[search] Raw response: ${response.data.substring(0, 500)}...`);
+            logger.error('Error parsing search results', {err: e,
+                response: response.data.substring(0, 500)});
             throw new Error(`Failed to parse search results JSON: ${e.message}`);
         }
 
         const results = [];
         
         if (searchData.organic && Array.isArray(searchData.organic)) {
-            console.error(`[search] Found ${searchData.organic.length} organic results`);
-            
             searchData.organic.forEach((result, index) => {
                 if (result.link && result.title) {
                     results.push({
@@ -292,37 +716,28 @@ server.addTool({
                 }
             });
         } else {
-            console.error(`[search] No organic results found or not an array`);
-            console.error(`[search] searchData keys: ${Object.keys(searchData)}`);
+            logger.warn('No organic search results found',
+                {keys: Object.keys(searchData)});
         }
 
-        console.error(`[search] Returning ${results.length} results`);
+        logger.debug('Search completed', {results: results.length});
         
         return JSON.stringify(results);
     })
 });
-server.addTool({
+add_tool({
     name: 'fetch',
     description: 'Retrieve the full content of a document by its URL for deep research',
     parameters: z.object({
-        id: z.string().url().describe('URL of the document to fetch and return full content')
+        id: z.string().url().describe('URL of the document to fetch and return full content'),
+        ...cache_parameters,
     }),
-    execute: tool_fn('fetch', async({id}, ctx) => {
+    execute: tool_fn('fetch', async({id, max_age}, ctx) => {
         const url = id; // id parameter is actually the URL
         
         // Scrape the full content
-        let response = await axios({
-            url: 'https://api.brightdata.com/request',
-            method: 'POST',
-            data: {
-                url,
-                zone: ctx.unlockerZone,
-                format: 'raw',
-                data_format: 'markdown',
-            },
-            headers: api_headers(ctx.apiToken),
-            responseType: 'text',
-        });
+        let response = await unlocker_request(ctx,
+            {url, data_format: 'markdown', max_age});
 
         // Extract title from markdown content
         function extractTitleFromMarkdown(content) {
@@ -341,515 +756,331 @@ server.addTool({
             text: response.data,
             url: url,
             metadata: {
-                scraped_at: new Date().toISOString(),
-                content_type: 'markdown'
+                scraped_at: new Date(Date.now()-(response.age||0)).toISOString(),
+                content_type: 'markdown',
+                ...response_cache ? {cached: response.cached} : {},
             }
         });
     })
 });
-server.addTool({
+add_tool({
     name: 'session_stats',
-    description: 'Tell the user about the tool usage during this session',
-    parameters: z.object({}),
-    execute: tool_fn('session_stats', async() =>{
-        let used_tools = Object.entries(debug_stats.tool_calls);
-        let lines = ['Tool calls this session:'];
-        for (let [name, calls] of used_tools)
-            lines.push(`- ${name} tool: called ${calls} times`);
+    description: 'Tell the user about their tool usage: calls, bytes '
+    +'returned, upstream requests, dataset records and browser minutes, '
+    +'over a chosen time range (default: the last 24 hours)',
+    parameters: z.object({
+        since: z.string().optional().default('24h')
+            .describe('Start of the range: a duration back from now (30m, '
+                +'24h, 7d, 4w) or an ISO date'),
+        until: z.string().optional()
+            .describe('End of the range as an ISO date (default: now)'),
+    }),
+    execute: tool_fn('session_stats', async({since, until}, ctx) =>{
+        let from, to;
+        try {
+            from = parse_time(since);
+            to = parse_time(until);
+        } catch(e){ throw new UserError(e.message); }
+        let usage = usage_store.summary(ctx.session.tenantId, {from, to});
+        let lines = [
+            `Usage from ${new Date(from).toISOString()} to `
+                +`${to==null ? 'now' : new Date(to).toISOString()} `
+                +'(hourly resolution):',
+            `- Tool calls: ${usage.calls}`,
+            `- Bytes returned: ${usage.bytes}`,
+            `- Upstream requests: ${usage.upstream_requests}`,
+            `- Dataset records: ${usage.dataset_records}`,
+            `- Browser minutes: ${(usage.browser_ms/60000).toFixed(1)}`,
+        ];
+        let used_tools = Object.entries(usage.tools)
+            .sort((a, b)=>b[1]-a[1]);
+        if (used_tools.length)
+        {
+            lines.push('', 'Tool calls:');
+            for (let [name, calls] of used_tools)
+                lines.push(`- ${name} tool: called ${calls} times`);
+        }
+        let zone_status = Object.entries(ctx.session?.zoneStatus||{});
+        if (zone_status.length)
+        {
+            lines.push('', 'Zones:');
+            for (let [zone, status] of zone_status)
+                lines.push(`- ${zone}: ${status}`);
+        }
         return lines.join('\n');
     }),
 });
 
-const datasets = [{
-    id: 'amazon_product',
-    dataset_id: 'gd_l7q7dkf244hwjntr0',
-    description: [
-        'Quickly read structured amazon product data.',
-        'Requires a valid product URL with /dp/ in it.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'amazon_product_reviews',
-    dataset_id: 'gd_le8e811kzy4ggddlq',
-    description: [
-        'Quickly read structured amazon product review data.',
-        'Requires a valid product URL with /dp/ in it.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'amazon_product_search',
-    dataset_id: 'gd_lwdb4vjm1ehb499uxs',
-    description: [
-        'Quickly read structured amazon product search data.',
-        'Requires a valid search keyword and amazon domain URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['keyword', 'url', 'pages_to_search'],
-    defaults: {pages_to_search: '1'},
-}, {
-    id: 'walmart_product',
-    dataset_id: 'gd_l95fol7l1ru6rlo116',
-    description: [
-        'Quickly read structured walmart product data.',
-        'Requires a valid product URL with /ip/ in it.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'walmart_seller',
-    dataset_id: 'gd_m7ke48w81ocyu4hhz0',
-    description: [
-        'Quickly read structured walmart seller data.',
-        'Requires a valid walmart seller URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'ebay_product',
-    dataset_id: 'gd_ltr9mjt81n0zzdk1fb',
-    description: [
-        'Quickly read structured ebay product data.',
-        'Requires a valid ebay product URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'homedepot_products',
-    dataset_id: 'gd_lmusivh019i7g97q2n',
-    description: [
-        'Quickly read structured homedepot product data.',
-        'Requires a valid homedepot product URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'zara_products',
-    dataset_id: 'gd_lct4vafw1tgx27d4o0',
-    description: [
-        'Quickly read structured zara product data.',
-        'Requires a valid zara product URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'etsy_products',
-    dataset_id: 'gd_ltppk0jdv1jqz25mz',
-    description: [
-        'Quickly read structured etsy product data.',
-        'Requires a valid etsy product URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'bestbuy_products',
-    dataset_id: 'gd_ltre1jqe1jfr7cccf',
-    description: [
-        'Quickly read structured bestbuy product data.',
-        'Requires a valid bestbuy product URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'linkedin_person_profile',
-    dataset_id: 'gd_l1viktl72bvl7bjuj0',
-    description: [
-        'Quickly read structured linkedin people profile data.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'linkedin_company_profile',
-    dataset_id: 'gd_l1vikfnt1wgvvqz95w',
-    description: [
-        'Quickly read structured linkedin company profile data',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'linkedin_job_listings',
-    dataset_id: 'gd_lpfll7v5hcqtkxl6l',
-    description: [
-        'Quickly read structured linkedin job listings data',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'linkedin_posts',
-    dataset_id: 'gd_lyy3tktm25m4avu764',
-    description: [
-        'Quickly read structured linkedin posts data',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'linkedin_people_search',
-    dataset_id: 'gd_m8d03he47z8nwb5xc',
-    description: [
-        'Quickly read structured linkedin people search data',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url', 'first_name', 'last_name'],
-}, {
-    id: 'crunchbase_company',
-    dataset_id: 'gd_l1vijqt9jfj7olije',
-    description: [
-        'Quickly read structured crunchbase company data',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'zoominfo_company_profile',
-    dataset_id: 'gd_m0ci4a4ivx3j5l6nx',
-    description: [
-        'Quickly read structured ZoomInfo company profile data.',
-        'Requires a valid ZoomInfo company URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'instagram_profiles',
-    dataset_id: 'gd_l1vikfch901nx3by4',
-    description: [
-        'Quickly read structured Instagram profile data.',
-        'Requires a valid Instagram URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'instagram_posts',
-    dataset_id: 'gd_lk5ns7kz21pck8jpis',
-    description: [
-        'Quickly read structured Instagram post data.',
-        'Requires a valid Instagram URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'instagram_reels',
-    dataset_id: 'gd_lyclm20il4r5helnj',
-    description: [
-        'Quickly read structured Instagram reel data.',
-        'Requires a valid Instagram URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'instagram_comments',
-    dataset_id: 'gd_ltppn085pokosxh13',
-    description: [
-        'Quickly read structured Instagram comments data.',
-        'Requires a valid Instagram URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'facebook_posts',
-    dataset_id: 'gd_lyclm1571iy3mv57zw',
-    description: [
-        'Quickly read structured Facebook post data.',
-        'Requires a valid Facebook post URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'facebook_marketplace_listings',
-    dataset_id: 'gd_lvt9iwuh6fbcwmx1a',
-    description: [
-        'Quickly read structured Facebook marketplace listing data.',
-        'Requires a valid Facebook marketplace listing URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'facebook_company_reviews',
-    dataset_id: 'gd_m0dtqpiu1mbcyc2g86',
-    description: [
-        'Quickly read structured Facebook company reviews data.',
-        'Requires a valid Facebook company URL and number of reviews.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url', 'num_of_reviews'],
-}, {
-    id: 'facebook_events',
-    dataset_id: 'gd_m14sd0to1jz48ppm51',
-    description: [
-        'Quickly read structured Facebook events data.',
-        'Requires a valid Facebook event URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'tiktok_profiles',
-    dataset_id: 'gd_l1villgoiiidt09ci',
-    description: [
-        'Quickly read structured Tiktok profiles data.',
-        'Requires a valid Tiktok profile URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'tiktok_posts',
-    dataset_id: 'gd_lu702nij2f790tmv9h',
-    description: [
-        'Quickly read structured Tiktok post data.',
-        'Requires a valid Tiktok post URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'tiktok_shop',
-    dataset_id: 'gd_m45m1u911dsa4274pi',
-    description: [
-        'Quickly read structured Tiktok shop data.',
-        'Requires a valid Tiktok shop product URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'tiktok_comments',
-    dataset_id: 'gd_lkf2st302ap89utw5k',
-    description: [
-        'Quickly read structured Tiktok comments data.',
-        'Requires a valid Tiktok video URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'google_maps_reviews',
-    dataset_id: 'gd_luzfs1dn2oa0teb81',
-    description: [
-        'Quickly read structured Google maps reviews data.',
-        'Requires a valid Google maps URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url', 'days_limit'],
-    defaults: {days_limit: '3'},
-}, {
-    id: 'google_shopping',
-    dataset_id: 'gd_ltppk50q18kdw67omz',
-    description: [
-        'Quickly read structured Google shopping data.',
-        'Requires a valid Google shopping product URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'google_play_store',
-    dataset_id: 'gd_lsk382l8xei8vzm4u',
-    description: [
-        'Quickly read structured Google play store data.',
-        'Requires a valid Google play store app URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'apple_app_store',
-    dataset_id: 'gd_lsk9ki3u2iishmwrui',
-    description: [
-        'Quickly read structured apple app store data.',
-        'Requires a valid apple app store app URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'reuter_news',
-    dataset_id: 'gd_lyptx9h74wtlvpnfu',
-    description: [
-        'Quickly read structured reuter news data.',
-        'Requires a valid reuter news report URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'github_repository_file',
-    dataset_id: 'gd_lyrexgxc24b3d4imjt',
-    description: [
-        'Quickly read structured github repository data.',
-        'Requires a valid github repository file URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'yahoo_finance_business',
-    dataset_id: 'gd_lmrpz3vxmz972ghd7',
-    description: [
-        'Quickly read structured yahoo finance business data.',
-        'Requires a valid yahoo finance business URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'x_posts',
-    dataset_id: 'gd_lwxkxvnf1cynvib9co',
-    description: [
-        'Quickly read structured X post data.',
-        'Requires a valid X post URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'zillow_properties_listing',
-    dataset_id: 'gd_lfqkr8wm13ixtbd8f5',
-    description: [
-        'Quickly read structured zillow properties listing data.',
-        'Requires a valid zillow properties listing URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'booking_hotel_listings',
-    dataset_id: 'gd_m5mbdl081229ln6t4a',
-    description: [
-        'Quickly read structured booking hotel listings data.',
-        'Requires a valid booking hotel listing URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'youtube_profiles',
-    dataset_id: 'gd_lk538t2k2p1k3oos71',
-    description: [
-        'Quickly read structured youtube profiles data.',
-        'Requires a valid youtube profile URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}, {
-    id: 'youtube_comments',
-    dataset_id: 'gd_lk9q0ew71spt1mxywf',
-    description: [
-        'Quickly read structured youtube comments data.',
-        'Requires a valid youtube video URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url', 'num_of_comments'],
-    defaults: {num_of_comments: '10'},
-}, {
-    id: 'reddit_posts',
-    dataset_id: 'gd_lvz8ah06191smkebj4',
-    description: [
-        'Quickly read structured reddit posts data.',
-        'Requires a valid reddit post URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-},
-{
-    id: 'youtube_videos',
-    dataset_id: 'gd_m5mbdl081229ln6t4a',
-    description: [
-        'Quickly read structured YouTube videos data.',
-        'Requires a valid YouTube video URL.',
-        'This can be a cache lookup, so it can be more reliable than scraping',
-    ].join('\n'),
-    inputs: ['url'],
-}];
-for (let {dataset_id, id, description, inputs, defaults = {}} of datasets)
+const shaped_result = ({text, notice})=>notice
+    ? {content: [{type: 'text', text}, {type: 'text', text: notice}]}
+    : text;
+
+for (let {dataset_id, id, description, inputs, defaults = {},
+    validate = {}, group} of datasets)
 {
     let parameters = {};
     for (let input of inputs)
-    {
-        let param_schema = input=='url' ? z.string().url() : z.string();
-        parameters[input] = defaults[input] !== undefined ?
-            param_schema.default(defaults[input]) : param_schema;
-    }
-    server.addTool({
+        parameters[input] = input_schema(input, validate[input], defaults[input]);
+    let item_schema = z.object(parameters);
+    // single input fields become optional so a list can be passed instead
+    let single_parameters = Object.fromEntries(Object.entries(parameters)
+        .map(([name, schema])=>[name, schema.optional()]));
+    add_tool({
         name: `web_data_${id}`,
-        description,
-        parameters: z.object(parameters),
-        execute: tool_fn(`web_data_${id}`, async(data, ctx)=>{
+        description: [
+            description,
+            'Pass either the single input fields, or a list of them as '
+            +'`inputs` to collect them all in one snapshot.',
+            'Set wait=false for long collections: the snapshot_id is returned '
+            +'right away, then use web_data_snapshot_status and '
+            +'web_data_snapshot_result.',
+        ].join('\n'),
+        parameters: z.object({
+            ...single_parameters,
+            inputs: z.array(item_schema).min(1).max(dataset_max_inputs)
+                .optional()
+                .describe('List of inputs to collect in one snapshot. '
+                    +'Results are returned per input'),
+            wait: z.boolean().optional().default(true)
+                .describe('Wait for the data (default). When false, return '
+                    +'the snapshot_id immediately without waiting'),
+            ...shaping_parameters,
+        }),
+        execute: tool_fn(`web_data_${id}`, async({wait, fields, limit, format,
+            ...data}, ctx)=>
+        {
+            let items = collect_inputs(data, item_schema);
             let trigger_response = await axios({
                 url: 'https://api.brightdata.com/datasets/v3/trigger',
                 params: {dataset_id, include_errors: true},
                 method: 'POST',
-                data: [data],
+                data: items,
                 headers: api_headers(ctx.apiToken),
             });
             if (!trigger_response.data?.snapshot_id)
                 throw new Error('No snapshot ID returned from request');
             let snapshot_id = trigger_response.data.snapshot_id;
-            console.error(`[web_data_${id}] triggered collection with `
-                +`snapshot ID: ${snapshot_id}`);
-            let max_attempts = 600;
-            let attempts = 0;
-            while (attempts < max_attempts)
+            logger.info('Triggered dataset collection', {snapshot_id});
+            if (!wait)
             {
-                try {
+                return JSON.stringify({
+                    snapshot_id,
+                    dataset: id,
+                    status: 'running',
+                    inputs: items.length,
+                    message: 'Collection started. Check it with '
+                        +'web_data_snapshot_status and download it with '
+                        +'web_data_snapshot_result',
+                });
+            }
+            let observe_poll = dataset_poll_metric.start_timer(
+                {tool: `web_data_${id}`, tenant: ctx.session?.tenantId});
+            let snapshot_data = await poll_snapshot({
+                snapshot_id,
+                headers: api_headers(ctx.apiToken),
+                signal: ctx.signal,
+                timeout: dataset_poll_timeout,
+                log: msg=>logger.debug(msg, {snapshot_id}),
+                on_poll: async({attempt, elapsed, timeout})=>{
                     if (ctx && ctx.reportProgress)
                     {
                         await ctx.reportProgress({
-                            progress: attempts,
-                            total: max_attempts,
-                            message: `Polling for data (attempt `
-                                +`${attempts + 1}/${max_attempts})`,
+                            progress: Math.round(elapsed/1000),
+                            total: Math.round(timeout/1000),
+                            message: `Polling for data (attempt ${attempt})`,
                         });
                     }
-                    let snapshot_response = await axios({
-                        url: `https://api.brightdata.com/datasets/v3`
-                            +`/snapshot/${snapshot_id}`,
-                        params: {format: 'json'},
-                        method: 'GET',
-                        headers: api_headers(ctx.apiToken),
-                    });
-                    if (snapshot_response.data?.status === 'running')
-                    {
-                        console.error(`[web_data_${id}] snapshot not ready, `
-                            +`polling again (attempt `
-                            +`${attempts + 1}/${max_attempts})`);
-                        attempts++;
-                        await new Promise(resolve=>setTimeout(resolve, 1000));
-                        continue;
-                    }
-                    console.error(`[web_data_${id}] snapshot data received `
-                        +`after ${attempts + 1} attempts`);
-                    let result_data = JSON.stringify(snapshot_response.data);
-                    return result_data;
-                } catch(e){
-                    console.error(`[web_data_${id}] polling error: `
-                        +`${e.message}`);
-                    attempts++;
-                    await new Promise(resolve=>setTimeout(resolve, 1000));
-                }
+                },
+            }).then(records=>{
+                observe_poll({outcome: 'ready'});
+                return records;
+            }, e=>{
+                observe_poll({outcome: e instanceof Dataset_error ? e.code
+                    : 'error'});
+                throw e;
+            });
+            usage_store.record(ctx.session?.tenantId, {dataset_records:
+                Array.isArray(snapshot_data) ? snapshot_data.length : 0});
+            // kept for web_data_snapshot_result paging past the shaped part
+            if (Array.isArray(snapshot_data))
+                snapshot_store.set(ctx.apiToken, snapshot_id, snapshot_data);
+            let shaping = {fields, limit, format, snapshot_id,
+                max_chars: dataset_max_chars};
+            if (data.inputs)
+            {
+                return shaped_result(shape_batch_results(
+                    map_snapshot_results(items, snapshot_data), shaping));
             }
-            throw new Error(`Timeout after ${max_attempts} seconds waiting `
-                +`for data`);
+            return shaped_result(shape_records(snapshot_data, shaping));
         }),
-    });
+    }, ['datasets', `datasets:${group}`]);
 }
 
-for (let tool of browser_tools) {
+add_tool({
+    name: 'web_data_snapshot_status',
+    description: 'Check the status of a dataset collection started with '
+    +'wait=false by one of the web_data_* tools',
+    parameters: z.object({
+        snapshot_id: z.string().describe('Snapshot ID returned by the trigger'),
+    }),
+    execute: tool_fn('web_data_snapshot_status', async({snapshot_id}, ctx)=>{
+        let response = await axios({
+            url: `https://api.brightdata.com/datasets/v3/progress/`
+                +`${encodeURIComponent(snapshot_id)}`,
+            method: 'GET',
+            headers: api_headers(ctx.apiToken),
+        });
+        return JSON.stringify(response.data);
+    }),
+});
+
+add_tool({
+    name: 'web_data_snapshot_result',
+    description: 'Download the records of a ready dataset snapshot started '
+    +'with wait=false. Large snapshots are returned in pages, call again '
+    +'with next_offset until it is null',
+    parameters: z.object({
+        snapshot_id: z.string().describe('Snapshot ID returned by the trigger'),
+        offset: z.number().int().min(0).optional().default(0)
+            .describe('Index of the first record to return'),
+        limit: z.number().int().min(1).max(1000).optional().default(50)
+            .describe('Maximum number of records to return (default: 50)'),
+        fields: shaping_parameters.fields,
+        format: shaping_parameters.format,
+    }),
+    execute: tool_fn('web_data_snapshot_result', async({snapshot_id, offset,
+        limit, fields, format}, ctx)=>
+    {
+        let records = snapshot_store.get(ctx.apiToken, snapshot_id);
+        if (!records)
+        {
+            let response = await axios({
+                url: `https://api.brightdata.com/datasets/v3/snapshot/`
+                    +`${encodeURIComponent(snapshot_id)}`,
+                params: {format: 'json'},
+                method: 'GET',
+                headers: api_headers(ctx.apiToken),
+            });
+            if (is_snapshot_pending(response.data))
+            {
+                return JSON.stringify({snapshot_id,
+                    status: response.data.status,
+                    message: 'Snapshot is not ready yet, try again later'});
+            }
+            check_snapshot_failed(snapshot_id, response.data);
+            records = response.data;
+            // only record lists, other bodies are fetched again next time
+            if (Array.isArray(records))
+                snapshot_store.set(ctx.apiToken, snapshot_id, records);
+        }
+        let {records: page, ...meta} = paginate_records(records,
+            {offset, limit});
+        page = page.map(record=>project_record(record, fields));
+        usage_store.record(ctx.session?.tenantId,
+            {dataset_records: page.length});
+        if (format=='json')
+            return JSON.stringify({snapshot_id, status: 'ready', ...meta,
+                records: page});
+        return {content: [
+            {type: 'text', text: JSON.stringify({snapshot_id,
+                status: 'ready', ...meta})},
+            {type: 'text', text: format_records(page, format)},
+        ]};
+    }),
+});
+
+for (let {sensitive, ...tool} of browser_tools) {
     const originalExecute = tool.execute;
-    server.addTool({
+    add_tool({
         ...tool,
-        execute: async (params, ctx) => {
+        execute: tool_fn(tool.name, async (params, ctx) => {
             if (!ctx.session?.browserZone) {
                 throw new Error('Browser tools require a browser zone. Specify browser=ZONE_NAME in the URL.');
             }
-            const extendedCtx = {
-                ...ctx,
-                apiToken: ctx.session.apiToken,
-                browserZone: ctx.session.browserZone
-            };
-            return originalExecute(params, extendedCtx);
-        }
-    });
+            let zone_status = ctx.session.zoneStatus?.[ctx.browserZone];
+            if (!zone_status) {
+                zone_status = (await check_zones(ctx.apiToken, [
+                    {name: ctx.browserZone, type: 'browser_api'}]))[ctx.browserZone];
+                ctx.session.zoneStatus = {...ctx.session.zoneStatus,
+                    [ctx.browserZone]: zone_status};
+            }
+            if (zone_status=='missing') {
+                throw new UserError(`Browser zone '${ctx.browserZone}' does not exist and `
+                    +'zone auto-creation is disabled (ZONE_AUTO_CREATE=false). '
+                    +'Create it in the Bright Data control panel.');
+            }
+            return originalExecute(params, ctx);
+        }, {sensitive})
+    }, ['browser']);
 }
 
-console.error('Starting server...');
-server.start({
+// Liveness, readiness and Prometheus metrics for load balancers and
+// scrapers. Set METRICS_TOKEN to require it as a bearer token on /metrics.
+let server_state = 'starting';
+const app = server.getApp();
+app.get('/healthz', c=>c.json({status: 'ok'}));
+app.get('/readyz', c=>{
+    let checks = {server: server_state};
+    if (access_key_store)
+    {
+        try {
+            access_key_store.list();
+            checks.access_keys = 'ok';
+        } catch(e){ checks.access_keys = e.message; }
+    }
+    let ready = Object.values(checks).every(check=>check=='ok');
+    return c.json({status: ready ? 'ready' : 'not_ready', checks},
+        ready ? 200 : 503);
+});
+// Whether the request has an `Authorization: Bearer <token>` header,
+// compared in constant time. Hashing both sides gives timingSafeEqual the
+// equal lengths it needs without revealing the token length.
+const has_bearer = (c, token)=>{
+    const digest = value=>crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(c.req.header('authorization')||''),
+        digest(`Bearer ${token}`));
+};
+app.get('/metrics', c=>{
+    if (metrics_token && !has_bearer(c, metrics_token))
+        return c.text('Unauthorized', 401);
+    return c.body(metrics.render(), 200,
+        {'content-type': METRICS_CONTENT_TYPE});
+});
+
+// Usage totals per tenant as CSV, for chargeback. Disabled unless
+// ADMIN_TOKEN is set; from/to take the same values as session_stats.
+app.get('/admin/usage.csv', c=>{
+    if (!admin_token)
+        return c.notFound();
+    if (!has_bearer(c, admin_token))
+        return c.text('Unauthorized', 401);
+    let from, to;
+    try {
+        from = parse_time(c.req.query('from'));
+        to = parse_time(c.req.query('to'));
+    } catch(e){ return c.text(e.message, 400); }
+    let labels = {};
+    try {
+        for (let {id, label} of access_key_store?.list()||[])
+            labels[`key_${id}`] = label;
+    } catch(e){ logger.warn('Error reading access key labels', {err: e}); }
+    let rows = usage_store.tenants().map(tenant=>{
+        let {tools, browser_ms, ...usage} = usage_store.summary(tenant,
+            {from, to});
+        return {tenant, label: labels[tenant], ...usage,
+            browser_minutes: (browser_ms/60000).toFixed(2)};
+    }).filter(row=>row.calls || row.upstream_requests
+        || row.browser_minutes>0);
+    let columns = ['tenant', 'label', ...usage_fields
+        .filter(f=>f!='browser_ms'), 'browser_minutes'];
+    return c.body(to_csv(columns, rows), 200, {
+        'content-type': 'text/csv; charset=utf-8',
+        'content-disposition': 'attachment; filename="usage.csv"',
+    });
+});
+
+logger.info('Starting server', {port: PORT});
+await server.start({
     transportType: 'httpStream',
     httpStream: {
         port: PORT,
@@ -861,53 +1092,128 @@ server.start({
         stateless: true,  
     },
 });
-console.error(`Server running on http://localhost:${PORT}/mcp`);
-function tool_fn(name, fn){
+server_state = 'ok';
+logger.info('Server running', {url: `http://localhost:${PORT}/mcp`});
+
+for (let signal of ['SIGTERM', 'SIGINT'])
+{
+    process.once(signal, async()=>{
+        logger.info('Shutting down', {signal});
+        // stop taking requests and end the remote browsers (they are billed
+        // while open) before saving their usage. Calls still running can't
+        // connect new browsers once close_all_sessions has started.
+        server_state = 'shutting_down';
+        let timeout;
+        await Promise.race([
+            Promise.all([
+                server.stop().catch(e=>logger.error('Error stopping server',
+                    {err: e})),
+                close_all_sessions().catch(e=>logger.error(
+                    'Error closing browser sessions', {err: e})),
+            ]),
+            new Promise(resolve=>timeout = setTimeout(()=>{
+                logger.warn('Timed out shutting down');
+                resolve();
+            }, shutdown_timeout)),
+        ]);
+        clearTimeout(timeout);
+        usage_store.flush();
+        process.exit(0);
+    });
+}
+const content_bytes = c=>Buffer.byteLength(c?.text || c?.data || '');
+
+// size of a tool result as sent to the client, for usage accounting
+const result_bytes = result=>typeof result=='string'
+    ? Buffer.byteLength(result)
+    : result?.content ? result.content.reduce((n, c)=>n+content_bytes(c), 0)
+    : content_bytes(result);
+
+const error_status = e=>e.response?.status
+    || (e.extras?.error=='rate_limited' ? 'rate_limited'
+    : e instanceof UserError ? 'user_error' : 'error');
+
+// sensitive: argument names never logged, on top of LOG_REDACT_FIELDS;
+// cost(data): how many requests of the rate limit a call uses (default 1)
+function tool_fn(name, fn, {sensitive=[], cost}={}){
     return async(data, ctx)=>{
-        check_rate_limit();
-        debug_stats.tool_calls[name] = debug_stats.tool_calls[name]||0;
-        debug_stats.tool_calls[name]++;
-        debug_stats.session_calls++;
-        let ts = Date.now();
-        console.error(`[%s] executing %s`, name, JSON.stringify(data));
-        const apiToken = ctx.session?.apiToken;
-        if (!apiToken) {
-            throw new Error('No API token available in session');
-        }
-        const extendedCtx = {
-            ...ctx,
-            apiToken,
-            unlockerZone: ctx.session?.unlockerZone || unlocker_zone,
-            browserZone: ctx.session?.browserZone || process.env.BROWSER_ZONE || 'mcp_browser'
-        };
-        
-        try { return await fn(data, extendedCtx); }
-        catch(e){
-            if (e.response)
-            {
-                console.error(`[%s] error %s %s: %s`, name, e.response.status,
-                    e.response.statusText, e.response.data);
-                let message = e.response.data;
-                if (message?.length)
-                    throw new Error(`HTTP ${e.response.status}: ${message}`);
-            }
-            else
-                console.error(`[%s] error %s`, name, e.stack);
-            throw e;
-        } finally {
-            let dur = Date.now()-ts;
-            console.error(`[%s] tool finished in %sms`, name, dur);
-        }
+        const labels = {tool: name, tenant: ctx.session?.tenantId};
+        const call = {...labels,
+            request_id: ctx.session?.requestId || crypto.randomUUID()};
+        return call_context.run(call, ()=>run_tool(name, fn, data, ctx,
+            {labels, sensitive, cost: cost ? cost(data) : 1}));
     };
 }
 
-function search_url(engine, query, cursor){
-    let q = encodeURIComponent(query);
-    let page = cursor ? parseInt(cursor) : 0;
-    let start = page * 10;
-    if (engine=='yandex')
-        return `https://yandex.com/search/?text=${q}&p=${page}`;
-    if (engine=='bing')
-        return `https://www.bing.com/search?q=${q}&first=${start + 1}`;
-    return `https://www.google.com/search?q=${q}&start=${start}`;
+async function run_tool(name, fn, data, ctx, {labels, sensitive, cost}){
+    tool_calls_metric.inc(labels);
+    try {
+        if (ctx.session?.tenantId)
+            rate_limiter.check(ctx.session.tenantId, name, cost);
+    } catch(e){
+        tool_errors_metric.inc({...labels, status: error_status(e)});
+        logger.warn('Tool call rate limited', {scope: e.extras?.scope});
+        throw e;
+    }
+    let ts = Date.now();
+    logger.info('Tool call started', {args: redact(data, sensitive)});
+    const apiToken = ctx.session?.apiToken;
+    if (!apiToken) {
+        throw new Error('No API token available in session');
+    }
+    const extendedCtx = {
+        ...ctx,
+        apiToken,
+        // null when none of the access key's zones is an unlocker zone
+        unlockerZone: ctx.session ? ctx.session.unlockerZone : unlocker_zone,
+        browserZone: ctx.session?.browserZone || process.env.BROWSER_ZONE || 'mcp_browser',
+        record_usage: usage=>usage_store.record(ctx.session?.tenantId, usage),
+    };
+    // aborted when the client disconnects before the call completes. MCP
+    // cancellation can't be used: in stateless mode it arrives as a separate
+    // HTTP request that never reaches this call.
+    const abort = new AbortController();
+    const on_disconnect = ()=>abort.abort(new Error('Client disconnected'));
+    ctx.session?.socket?.once('close', on_disconnect);
+    extendedCtx.signal = abort.signal;
+
+    const observe = tool_duration_metric.start_timer(labels);
+    let outcome = 'ok', result;
+    try {
+        result = await fn(data, extendedCtx);
+        return result;
+    }
+    catch(e){
+        outcome = 'error';
+        tool_errors_metric.inc({...labels, status: error_status(e)});
+        if (!(e instanceof UserError) && is_zone_not_found(e))
+        {
+            zone_cache.invalidate(apiToken, extendedCtx.unlockerZone);
+            zone_cache.invalidate(apiToken, extendedCtx.browserZone);
+        }
+        if (e.response)
+        {
+            logger.error('Tool call failed upstream', {
+                status: e.response.status,
+                status_text: e.response.statusText,
+                response: e.response.data,
+            });
+            let message = e.response.data;
+            if (message?.length)
+                throw new Error(`HTTP ${e.response.status}: ${message}`);
+        }
+        else
+        {
+            logger.log(e instanceof UserError ? 'warn' : 'error',
+                'Tool call failed', {err: e});
+        }
+        throw e;
+    } finally {
+        ctx.session?.socket?.off('close', on_disconnect);
+        observe();
+        usage_store.record(ctx.session?.tenantId,
+            {calls: 1, bytes: result_bytes(result)}, name);
+        logger.info('Tool call finished', {outcome,
+            duration_ms: Date.now()-ts});
+    }
 }
@@ -0,0 +1,47 @@
+'use strict'; /*jslint node:true es9:true*/
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import {glob_regex} from './util.js';
+
+export const parse_tool_list = value=>(Array.isArray(value) ? value
+    : (value||'').split(',')).map(s=>String(s).trim()).filter(Boolean);
+
+// Entries are tool names, name globs (web_data_amazon_*) or groups (search,
+// scrape, browser, datasets, datasets:social, ...). A tool passes when the
+// allow list is empty or matches it, and the deny list doesn't match it.
+// Tools in the core group pass any allow list.
+export class Tool_filter {
+    constructor({allow=[], deny=[]}={}){
+        this.allow = parse_tool_list(allow);
+        this.deny = parse_tool_list(deny);
+    }
+
+    get empty(){ return !this.allow.length && !this.deny.length; }
+
+    _matches(list, {name, groups=[]}){
+        return list.some(entry=>entry==name || groups.includes(entry)
+            || entry.includes('*') && glob_regex(entry).test(name));
+    }
+
+    allows(tool){
+        if (this._matches(this.deny, tool))
+            return false;
+        return !this.allow.length || this._matches(this.allow, tool)
+            || tool.groups?.includes('core');
+    }
+}
+
+export const token_hash = apiToken=>crypto.createHash('sha256')
+    .update(apiToken).digest('hex');
+
+// TOOLS_CONFIG file: {"allow": [...], "deny": [...], "tokens": {"<sha256 of
+// the API token>": {"allow": [...], "deny": [...]}}}
+export function load_tool_config(file){
+    if (!file)
+        return {deployment: {}, tokens: {}};
+    let config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        deployment: {allow: config.allow, deny: config.deny},
+        tokens: config.tokens || {},
+    };
+}
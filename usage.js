@@ -0,0 +1,129 @@
+'use strict'; /*jslint node:true es9:true*/
+import fs from 'node:fs';
+import {logger} from './logger.js';
+
+const HOUR = 3600*1000;
+
+export const usage_fields = ['calls', 'bytes', 'upstream_requests',
+    'dataset_records', 'browser_ms'];
+
+const empty_usage = ()=>Object.fromEntries(usage_fields.map(f=>[f, 0]));
+
+function add_usage(total, usage){
+    for (const field of usage_fields)
+        total[field] += usage[field]||0;
+    for (const [tool, calls] of Object.entries(usage.tools||{}))
+        total.tools[tool] = (total.tools[tool]||0)+calls;
+    return total;
+}
+
+const UNITS = {m: 60*1000, h: HOUR, d: 24*HOUR, w: 7*24*HOUR};
+
+// '24h', '7d', '30m' (relative to now) or an ISO date/time
+export function parse_time(value, now=Date.now()){
+    if (value===undefined || value===null || value==='')
+        return null;
+    const relative = String(value).trim().match(/^(\d+)([mhdw])$/);
+    if (relative)
+        return now-parseInt(relative[1])*UNITS[relative[2]];
+    const ts = Date.parse(value);
+    if (Number.isNaN(ts))
+    {
+        throw new Error(`Invalid time "${value}". Use an ISO date or a `
+            +'duration like 24h or 7d');
+    }
+    return ts;
+}
+
+const csv_cell = v=>/[",\n]/.test(String(v)) ? `"${String(v)
+    .replace(/"/g, '""')}"` : String(v);
+
+export const to_csv = (columns, rows)=>[columns, ...rows.map(row=>
+    columns.map(c=>row[c]??''))].map(row=>row.map(csv_cell).join(','))
+    .join('\n')+'\n';
+
+// Usage per tenant in hourly buckets, kept in memory and written to a JSON
+// file every flush_interval ms (and on exit). Buckets older than retention
+// ms are dropped. The file belongs to a single server instance.
+export class Usage_store {
+    constructor({file, retention=400*24*HOUR, flush_interval=30*1000}={}){
+        this.file = file;
+        this.retention = retention;
+        this._tenants = {};
+        this._dirty = false;
+        this._load();
+        if (file && flush_interval)
+        {
+            this._timer = setInterval(()=>this.flush(), flush_interval);
+            this._timer.unref();
+            process.once('exit', ()=>this.flush());
+        }
+    }
+
+    _load(){
+        if (!this.file)
+            return;
+        let text;
+        try { text = fs.readFileSync(this.file, 'utf8'); }
+        catch(e){
+            if (e.code=='ENOENT')
+                return;
+            throw e;
+        }
+        this._tenants = JSON.parse(text).tenants || {};
+    }
+
+    // usage: {calls, bytes, upstream_requests, dataset_records, browser_ms};
+    // tool, when given, counts the calls per tool
+    record(tenant, usage, tool, ts=Date.now()){
+        if (!tenant)
+            return;
+        const bucket = String(Math.floor(ts/HOUR)*HOUR);
+        const buckets = this._tenants[tenant] = this._tenants[tenant]||{};
+        const entry = buckets[bucket] = buckets[bucket]
+            || {...empty_usage(), tools: {}};
+        add_usage(entry, {...usage,
+            tools: tool && usage.calls ? {[tool]: usage.calls} : {}});
+        this._dirty = true;
+    }
+
+    // Totals of a tenant between from and to (ms, both optional), from the
+    // hourly buckets that start in that range
+    summary(tenant, {from, to}={}){
+        const total = {...empty_usage(), tools: {}};
+        for (const [bucket, usage] of Object.entries(this._tenants[tenant]
+            ||{}))
+        {
+            const ts = parseInt(bucket);
+            if ((from==null || ts+HOUR>from) && (to==null || ts<to))
+                add_usage(total, usage);
+        }
+        return total;
+    }
+
+    tenants(){ return Object.keys(this._tenants); }
+
+    flush(){
+        if (!this.file || !this._dirty)
+            return;
+        const oldest = Date.now()-this.retention;
+        for (const buckets of Object.values(this._tenants))
+        {
+            for (const bucket of Object.keys(buckets))
+            {
+                if (parseInt(bucket)+HOUR<oldest)
+                    delete buckets[bucket];
+            }
+        }
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify({version: 1,
+                tenants: this._tenants}));
+            fs.renameSync(tmp, this.file);
+            this._dirty = false;
+        } catch(e){
+            logger.error('Error writing usage store', {file: this.file,
+                err: e});
+        }
+    }
+}
@@ -0,0 +1,20 @@
+'use strict'; /*jslint node:true es9:true*/
+import {AsyncLocalStorage} from 'node:async_hooks';
+
+// 'web_data_*' => /^web_data_.*$/
+export const glob_regex = pattern=>new RegExp('^'+pattern.split('*')
+    .map(s=>s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')+'$');
+
+// {tool, tenant, request_id} of the tool call being executed, for code that
+// has no access to the tool context (axios interceptors, the logger)
+export const call_context = new AsyncLocalStorage();
+
+// Integer environment setting, or fallback when it is unset or not an
+// integer of at least min
+export function env_int(name, fallback, {min=0}={}){
+    const value = process.env[name]?.trim();
+    if (!value)
+        return fallback;
+    const n = Number(value);
+    return Number.isInteger(n) && n>=min ? n : fallback;
+}
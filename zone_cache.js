@@ -0,0 +1,92 @@
+'use strict'; /*jslint node:true es9:true*/
+
+// Remembers the zone check results for a token, so stateless requests don't
+// hit the account API every time they authenticate. Usable zones ('exists',
+// 'created') are kept for ttl; missing zones and failed checks or creations
+// for the shorter failure_ttl, so they are retried but not on every request.
+export class Zone_cache {
+    constructor({ttl=5*60*1000, failure_ttl=60*1000}={}){
+        this.ttl = ttl;
+        this.failure_ttl = failure_ttl;
+        this._results = new Map();
+        this._pending = new Map();
+        this._last_sweep = Date.now();
+    }
+
+    _key(apiToken, zone){ return `${apiToken}\n${zone}`; }
+
+    _sweep(now){
+        if (now-this._last_sweep<Math.min(this.ttl, this.failure_ttl))
+            return;
+        this._last_sweep = now;
+        for (const [key, {expires}] of this._results)
+        {
+            if (expires<=now)
+                this._results.delete(key);
+        }
+    }
+
+    // The cached status of the zone, or null
+    get(apiToken, zone){
+        const result = this._results.get(this._key(apiToken, zone));
+        return result && result.expires>Date.now() ? result.status : null;
+    }
+
+    // fn resolves to the status of the zone, which is cached and returned.
+    // Concurrent calls for the same key share one pending check.
+    async check(apiToken, zone, fn){
+        const now = Date.now();
+        this._sweep(now);
+        const key = this._key(apiToken, zone);
+        const cached = this.get(apiToken, zone);
+        if (cached)
+            return cached;
+        if (this._pending.has(key))
+            return this._pending.get(key);
+        const pending = (async()=>{
+            try {
+                const status = await fn();
+                this._results.set(key, {status, expires: Date.now()
+                    +(is_usable(status) ? this.ttl : this.failure_ttl)});
+                return status;
+            } finally {
+                this._pending.delete(key);
+            }
+        })();
+        this._pending.set(key, pending);
+        return pending;
+    }
+
+    // fn resolves to the first of names that is a zone of the given type, or
+    // null when there is none, which is kept only for failure_ttl. Failed
+    // lookups aren't cached.
+    async pick(apiToken, type, names, fn){
+        const now = Date.now();
+        this._sweep(now);
+        const key = this._key(apiToken, `${type}:${names.join(',')}`);
+        const cached = this._results.get(key);
+        if (cached && cached.expires>now)
+            return cached.zone;
+        const zone = await fn();
+        this._results.set(key, {zone, expires: Date.now()
+            +(zone ? this.ttl : this.failure_ttl)});
+        return zone;
+    }
+
+    invalidate(apiToken, zone){
+        this._results.delete(this._key(apiToken, zone));
+    }
+}
+
+export const is_usable = status=>['exists', 'created'].includes(status);
+
+export function is_zone_not_found(e){
+    const status = e.response?.status;
+    const data = e.response?.data;
+    const message = [typeof data=='string' ? data : JSON.stringify(data||''),
+        e.message].join(' ');
+    if (status && ![400, 404, 422].includes(status))
+        return false;
+    return /zone/i.test(message)
+        && /not found|does not exist|doesn't exist|unknown zone/i.test(message);
+}